@@ -67,6 +67,7 @@ function syncStudentDatabase() {
   const ss = SpreadsheetApp.getActive();
   const db = ss.getSheetByName(CONFIG.databaseSheetName);
   if (!db) throw new Error(`Sheet "${CONFIG.databaseSheetName}" not found.`);
+  ensurePhoneE164Column_(db);
 
   const dbData = readSheetAsObjects_(db);
   const dbIndex = buildIndex_(dbData.rows, CONFIG.matchKeys);
@@ -125,16 +126,20 @@ if (existingRowEntry) {
   // If this submission opted in, force Yes
   if (incomingOptYes) {
     updated['SMS Opt-In'] = 'Yes';
+    if (prevOpt !== 'yes') {
+      recordConsent_(updated['Phone #'], obj['SMS Opt-In'], 'Yes', CONSENT_SOURCES.FORM,
+        `${name} row ${resp.startRow + r}: ${JSON.stringify(row)}`);
+    }
   }
 
-  writeBackRow_(db, dbData.headers, rowNumber, updated);
+  writeBackRow_(db, dbData.headers, rowNumber, withPhoneE164_(updated));
   studentSaved = updated;
 
   // ✅ Send welcome SMS only if they just switched to Yes
   if (incomingOptYes && prevOpt !== 'yes') {
     const phone = updated['Phone #'];
     if (phone) {
-      const result = sendSms_(toE164_(phone), 'Thanks for opting in to Progsu SMS alerts! Cool events are coming your way. Reply STOP to opt out. Reply HELP for help.');
+      const result = sendSms_(toE164_(phone), welcomeMessage_(updated), { kind: 'welcome' });
       if (!result.success) {
         Logger.log(`Failed to send opt-in confirmation to ${phone}: ${result.error}`);
       }
@@ -163,14 +168,25 @@ if (existingRowEntry) {
           newObj['SMS Opt-In'] = '?';
         }
 
-        appendRow_(db, dbData.headers, newObj);
+        appendRow_(db, dbData.headers, withPhoneE164_(newObj));
         studentSaved = newObj;
 
-        // ✅ Send welcome SMS for brand new opt-in
+        // Optional Lookup pre-flight: cache line type and skip the welcome text for landlines etc.
+        const lookup = (lookupEnabled_() && newObj['Phone #'])
+          ? lookupStudentRow_(db, db.getLastRow(), newObj['Phone #'])
+          : null;
+        const textable = !lookup || !isLookupExcluded_(lookup.lineType, lookup.valid ? 'Yes' : 'No');
+
         if (incomingOptYes) {
+          recordConsent_(newObj['Phone #'], '', 'Yes', CONSENT_SOURCES.FORM,
+            `${name} row ${resp.startRow + r}: ${JSON.stringify(row)}`);
+        }
+
+        // ✅ Send welcome SMS for brand new opt-in
+        if (incomingOptYes && textable) {
           const phone = newObj['Phone #'];
           if (phone) {
-            const result = sendSms_(toE164_(phone), 'Thanks for opting in to Progsu SMS alerts! Cool events are coming your way. Reply STOP to opt out. Reply HELP for help.');
+            const result = sendSms_(toE164_(phone), welcomeMessage_(newObj), { kind: 'welcome' });
             if (!result.success) {
               Logger.log(`Failed to send opt-in confirmation to ${phone}: ${result.error}`);
             }
@@ -253,7 +269,7 @@ function inferMatchKey_(obj, keys = CONFIG.matchKeys) {
 }
 
 function makeIndexKey_(keyName, keyVal) {
-  const v = String(keyVal).toLowerCase();
+  const v = keyName === 'Phone #' ? normalizePhoneDigits_(keyVal) : String(keyVal).toLowerCase();
   return `${keyName}::${v}`;
 }
 
@@ -275,8 +291,7 @@ function normalizeFieldValue_(dbKey, value) {
     v = String(v).trim().toLowerCase();
   }
   if (dbKey === 'Phone #') {
-    v = String(v).replace(/[^\d]/g, '');
-    if (v.length === 11 && v.startsWith('1')) v = v.slice(1);
+    v = phoneForSheet_(v); // US stays 10 digits; international numbers keep their "+" (smsPhone.js)
   }
   if (dbKey === 'SMS Opt-In') {
     // Any non-empty checkbox value means they opted in
@@ -297,6 +312,35 @@ function mergeRecords_(existing, incoming) {
   return merged;
 }
 
+// Insert or update one Student Database record outside the Form sync (e.g. SMS sign-up).
+// Matches on CONFIG.matchKeys and uses the same merge/append rules as syncStudentDatabase.
+// Returns { student, inserted, previous }.
+function upsertStudentRecord_(incoming) {
+  const db = SpreadsheetApp.getActive().getSheetByName(CONFIG.databaseSheetName);
+  if (!db) throw new Error(`Sheet "${CONFIG.databaseSheetName}" not found.`);
+
+  ensurePhoneTextFormat_(db);
+  const dbData = readSheetAsObjects_(db);
+  const dbIndex = buildIndex_(dbData.rows, CONFIG.matchKeys);
+  const matchKey = inferMatchKey_(incoming);
+  const existing = matchKey ? dbIndex.get(makeIndexKey_(matchKey, incoming[matchKey])) : null;
+
+  if (existing) {
+    const updated = withPhoneE164_(mergeRecords_(existing.obj, incoming));
+    writeBackRow_(db, dbData.headers, existing.rowNumber, updated);
+    return { student: updated, inserted: false, previous: existing.obj };
+  }
+
+  const newObj = {};
+  dbData.headers.forEach(h => newObj[h] = '');
+  Object.keys(incoming).forEach(k => newObj[k] = incoming[k]);
+  if (!newObj['Join Date']) {
+    newObj['Join Date'] = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'M/d/yyyy');
+  }
+  appendRow_(db, dbData.headers, withPhoneE164_(newObj));
+  return { student: newObj, inserted: true, previous: null };
+}
+
 function writeBackRow_(sheet, headers, rowNumber, obj) {
   const row = headers.map(h => obj[h] ?? '');
   sheet.getRange(rowNumber, 1, 1, headers.length).setValues([row]);
@@ -9,25 +9,48 @@ function twilioProps_() {
   };
 }
 
-// Convert a US 10-digit (or messy) number into E.164 (+1XXXXXXXXXX)
+// Where Twilio posts delivery status updates (doPost in smsInbound.js).
+// Set TWILIO_STATUS_CALLBACK_URL to the deployed /exec URL; falls back to this web app's URL.
+function statusCallbackUrl_() {
+  const url = PropertiesService.getScriptProperties().getProperty('TWILIO_STATUS_CALLBACK_URL');
+  if (url) return url;
+  try {
+    return ScriptApp.getService().getUrl() || '';
+  } catch (e) {
+    return ''; // not deployed as a web app
+  }
+}
+
+// Convert a (messy) phone number into E.164 (+CCNNN...), reading numbers without a country code
+// in DEFAULT_PHONE_REGION. Returns '' when it can't be a valid number (see smsPhone.js).
 function toE164_(digits) {
-  let d = String(digits || '').replace(/[^\d]/g, '');
-  if (d.length === 10) d = '1' + d;    // add country code if missing
-  if (!d.startsWith('1')) d = '1' + d; // force +1 for US; adjust if non-US
-  return '+' + d;
+  return parsePhone_(digits).e164;
 }
 function uiPing_() { return 'pong'; }
 
-// Send an SMS via Twilio REST API
-// Returns: { success: boolean, data?: object, error?: string, errorCode?: number }
-function sendSms_(toE164, body) {
+// Send an SMS via Twilio REST API (429/5xx/network errors are retried in-call, see smsRetry.js)
+// opts.attempt: attempt number recorded in the log when the retry queue re-sends a message
+// opts.mediaUrl: public image URL to send as MMS (see smsMedia.js)
+// opts.kind: SMS Log Kind, default "marketing"; reply, test and welcome sends don't count toward the frequency cap
+// Returns: { success: boolean, data?: object, error?: string, errorCode?: number, errorClass?: 'transient'|'permanent' }
+function sendSms_(toE164, body, opts) {
+  const attempt = (opts && opts.attempt) || 1;
+  const mediaUrl = (opts && opts.mediaUrl) || '';
+  const kind = (opts && opts.kind) || 'marketing';
   const { sid, token, msid, from } = twilioProps_();
   if (!sid || !token) {
     return { success: false, error: 'Missing Twilio credentials (SID/TOKEN). Add Script Properties.' };
   }
 
+  if (!toE164) {
+    // toE164_ rejected the number; nothing Twilio could deliver (the retry queue skips blank To rows)
+    logSms_('', body, '', 0, 'Invalid phone number: not sent');
+    return { success: false, error: 'Invalid phone number', errorClass: 'permanent' };
+  }
+
   const url = `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`;
   const payload = { To: toE164, Body: body };
+  if (mediaUrl) payload.MediaUrl = mediaUrl;
 
   if (msid) payload.MessagingServiceSid = msid;
   else if (from) payload.From = from;
@@ -35,8 +58,11 @@ function sendSms_(toE164, body) {
     return { success: false, error: 'Provide TWILIO_MESSAGING_SERVICE_SID or TWILIO_FROM_NUMBER in Script Properties.' };
   }
 
+  const callbackUrl = statusCallbackUrl_();
+  if (callbackUrl) payload.StatusCallback = callbackUrl;
+
   try {
-    const resp = UrlFetchApp.fetch(url, {
+    const resp = fetchTwilioWithRetry_(url, {
       method: 'post',
       payload,
       headers: { Authorization: 'Basic ' + Utilities.base64Encode(sid + ':' + token) },
@@ -46,39 +72,71 @@ function sendSms_(toE164, body) {
     const code = resp.getResponseCode();
     const json = JSON.parse(resp.getContentText() || '{}');
     
-    // Always log the attempt
-    logSms_(toE164, body, json.sid || '', code, json.error_message || json.message || '');
+    const ok = code >= 200 && code < 300;
+    const segments = ok ? (Number(json.num_segments) || smsSegments_(body).segments) : 0;
+    const cost = ok ? messageCost_(segments, !!mediaUrl) : 0;
+    
+    // Always log the attempt (json.status is the initial delivery status, e.g. "queued")
+    logSms_(toE164, body, json.sid || '', code, json.error_message || json.message || '', json.status || '',
+      { errorCode: ok ? '' : (json.code || ''), attempt, mediaUrl, segments, cost, kind });
     
     // Return result object instead of throwing
-    if (code >= 200 && code < 300) {
+    if (ok) {
+      recordSmsCost_(cost);
       return { success: true, data: json };
     } else {
+      const errorClass = classifyTwilioError_(code, json.code);
+      if (errorClass === 'transient') ensureRetryTrigger_();
+      applyErrorHygiene_(toE164, json.code, HYGIENE_SOURCES.SEND, json.message || json.error_message || '');
       return { 
         success: false, 
         error: json.message || json.error_message || 'Unknown error',
-        errorCode: json.code || code
+        errorCode: json.code || code,
+        errorClass
       };
     }
   } catch (error) {
     // Handle network or parsing errors
-    logSms_(toE164, body, '', 0, error.toString());
-    return { success: false, error: error.toString() };
+    logSms_(toE164, body, '', 0, error.toString(), '', { attempt, mediaUrl, kind });
+    ensureRetryTrigger_();
+    return { success: false, error: error.toString(), errorClass: 'transient' };
   }
 }
 
 /***** Simple SMS log sheet *****/
-function logSms_(to, body, sid, httpCode, err) {
+// Delivery Status / Delivery Error / Status Updated are kept current by handleStatusCallback_
+// extra: { errorCode, attempt } for the retry queue (smsRetry.js), { mediaUrl, segments, cost }
+// (smsMedia.js) and { kind } (smsFrequencyCap.js); the columns are added on first use
+function logSms_(to, body, sid, httpCode, err, deliveryStatus, extra) {
   const ss = SpreadsheetApp.getActive();
   const sh = ss.getSheetByName('SMS Log') || ss.insertSheet('SMS Log');
   if (sh.getLastRow() === 0) {
-    sh.appendRow(['Timestamp','To','Body','Twilio SID','HTTP Code','Error']);
+    sh.appendRow(['Timestamp','To','Body','Twilio SID','HTTP Code','Error'].concat(SMS_STATUS_COLS));
+  }
+  const row = [new Date(), to, body, sid, httpCode, err];
+  if (deliveryStatus) {
+    const cols = ensureSmsLogStatusCols_(sh);
+    row[cols.status] = deliveryStatus;
+    row[cols.updated] = new Date();
+  }
+  if (extra && (extra.errorCode || extra.attempt > 1)) {
+    const cols = ensureSmsLogRetryCols_(sh);
+    row[cols.errorCode] = extra.errorCode || '';
+    row[cols.attempt] = extra.attempt || 1;
+  }
+  if (extra && (extra.mediaUrl || extra.cost)) {
+    const cols = ensureSmsLogMediaCols_(sh);
+    row[cols.media] = extra.mediaUrl || '';
+    row[cols.segments] = extra.segments || '';
+    row[cols.cost] = extra.cost ? Math.round(extra.cost * 10000) / 10000 : '';
   }
-  sh.appendRow([new Date(), to, body, sid, httpCode, err]);
+  if (extra && extra.kind) row[ensureSmsLogKindCol_(sh)] = extra.kind;
+  sh.appendRow(Array.from(row, v => (v === undefined ? '' : v)));
 }
 
 function sendTestSingle() {
   const myPhone = '8162379012'; // your cell
-  const result = sendSms_(toE164_(myPhone), 'Test from Google Sheets ✅ Reply STOP to opt out.');
+  const result = sendSms_(toE164_(myPhone), 'Test from Google Sheets ✅ Reply STOP to opt out.', { kind: 'test' });
   if (result.success) {
     Logger.log('Test message sent successfully: ' + result.data.sid);
   } else {
@@ -0,0 +1,277 @@
+/***** Saved audience segments *****/
+// A segment is a named list of rules over Student Database and attendance history, saved in the
+// "Audience Segments" sheet. The composer offers each one as audience "segment:<Name>" (usable for
+// scheduled sends and AUTO_REMINDER_AUDIENCE too); resolveAudience_ applies the usual opt-in,
+// contact hygiene, Lookup and frequency-cap filters on top. A student is in when every rule matches.
+//
+// Rules (JSON in the Rules column):
+//   { type: 'field', column, op, value }   any Student Database column; op is one of SEGMENT_FIELD_OPS
+//   { type: 'attendedAtLeast', value }     attended at least N events
+//   { type: 'attendedAtMost', value }      attended at most N events
+//   { type: 'attended', value }            attended the event with this ID
+//   { type: 'notAttended', value }         did not attend it
+//   { type: 'inactiveDays', value }        no attendance in the last N days (never attended counts)
+// An attendance is dated by its event's Event Log date, else the Attendance row's Timestamp.
+
+const SEGMENT_SHEET = 'Audience Segments';
+const SEGMENT_HEADERS = ['Name', 'Rules', 'Description', 'Updated By', 'Updated At'];
+const SEGMENT_COL = SEGMENT_HEADERS.reduce((m, h, i) => (m[h] = i, m), {}); // header -> 0-based
+const SEGMENT_PREFIX = 'segment:';
+const SEGMENT_FIELD_OPS = ['is', 'isnot', 'contains', 'isset', 'notset', 'before', 'after', 'atleast', 'atmost'];
+const SEGMENT_NUMBER_RULES = ['attendedAtLeast', 'attendedAtMost', 'inactiveDays'];
+const SEGMENT_EVENT_RULES = ['attended', 'notAttended'];
+
+function segmentSheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(SEGMENT_SHEET);
+  if (!sh) {
+    sh = ss.insertSheet(SEGMENT_SHEET);
+    sh.appendRow(SEGMENT_HEADERS);
+    sh.setFrozenRows(1);
+  }
+  return sh;
+}
+
+function isSegmentKey_(audienceKey) {
+  return String(audienceKey || '').indexOf(SEGMENT_PREFIX) === 0;
+}
+
+// [{ row, name, rules, description, updatedBy, updatedAt }]; rules is null when the cell isn't valid JSON
+function readSegments_() {
+  const vals = segmentSheet_().getDataRange().getValues();
+  const out = [];
+  for (let i = 1; i < vals.length; i++) {
+    const v = vals[i];
+    const name = String(v[SEGMENT_COL['Name']] || '').trim();
+    if (!name) continue;
+    let rules = null;
+    try { rules = JSON.parse(String(v[SEGMENT_COL['Rules']] || '')); } catch (e) { /* reported when used */ }
+    out.push({
+      row: i + 1,
+      name,
+      rules: Array.isArray(rules) ? rules : null,
+      description: String(v[SEGMENT_COL['Description']] || ''),
+      updatedBy: String(v[SEGMENT_COL['Updated By']] || ''),
+      updatedAt: v[SEGMENT_COL['Updated At']] instanceof Date ? v[SEGMENT_COL['Updated At']] : null
+    });
+  }
+  return out;
+}
+
+function findSegment_(name) {
+  const want = String(name || '').trim().toLowerCase();
+  return readSegments_().find(s => s.name.toLowerCase() === want) || null;
+}
+
+// Rules for audience key "segment:<Name>"
+function savedSegmentRules_(audienceKey) {
+  const name = String(audienceKey).slice(SEGMENT_PREFIX.length);
+  const seg = findSegment_(name);
+  if (!seg) throw new Error(`Audience segment "${name}" not found.`);
+  if (!seg.rules) throw new Error(`Audience segment "${name}" has invalid rules. Re-save it from the Segments tab.`);
+  return seg.rules;
+}
+
+// Normalized copy of rules from the sidebar or the sheet; throws on the first bad one
+function validateSegmentRules_(rules, columns) {
+  if (!Array.isArray(rules) || !rules.length) throw new Error('Add at least one rule.');
+  return rules.map((r, i) => {
+    const n = `Rule ${i + 1}`;
+    const type = String((r && r.type) || '');
+    const value = String((r && r.value) === undefined || (r && r.value) === null ? '' : r.value).trim();
+    if (type === 'field') {
+      const column = String(r.column || '').trim();
+      const op = String(r.op || '');
+      if (!columns.includes(column)) throw new Error(`${n}: Student Database has no "${column}" column.`);
+      if (!SEGMENT_FIELD_OPS.includes(op)) throw new Error(`${n}: unknown comparison "${op}".`);
+      if ((op === 'before' || op === 'after') && isNaN(new Date(value).getTime())) throw new Error(`${n}: enter a date.`);
+      if ((op === 'atleast' || op === 'atmost') && !isFinite(Number(value))) throw new Error(`${n}: enter a number.`);
+      return { type, column, op, value };
+    }
+    if (SEGMENT_NUMBER_RULES.includes(type)) {
+      if (value === '' || !isFinite(Number(value)) || Number(value) < 0) throw new Error(`${n}: enter a number of ${type === 'inactiveDays' ? 'days' : 'events'}.`);
+      return { type, value: Number(value) };
+    }
+    if (SEGMENT_EVENT_RULES.includes(type)) {
+      if (!value) throw new Error(`${n}: pick an event.`);
+      return { type, value };
+    }
+    throw new Error(`${n}: unknown rule type "${type}".`);
+  });
+}
+
+// "Role is Officer, attended at least 3 events" for the sheet and the sidebar
+function describeSegment_(rules) {
+  const ops = { is: 'is', isnot: 'is not', contains: 'contains', isset: 'has a value', notset: 'is blank',
+    before: 'is before', after: 'is after', atleast: 'is at least', atmost: 'is at most' };
+  return rules.map(r => {
+    if (r.type === 'field') return `${r.column} ${ops[r.op]}${r.op === 'isset' || r.op === 'notset' ? '' : ' ' + r.value}`;
+    if (r.type === 'attendedAtLeast') return `attended at least ${r.value} event${r.value === 1 ? '' : 's'}`;
+    if (r.type === 'attendedAtMost') return `attended at most ${r.value} event${r.value === 1 ? '' : 's'}`;
+    if (r.type === 'attended') return `attended ${r.value}`;
+    if (r.type === 'notAttended') return `didn't attend ${r.value}`;
+    return `no attendance in ${r.value} days`;
+  }).join(', ');
+}
+
+// Campus email -> [{ eventId (lowercased), at (epoch ms or null) }], one entry per event attended
+function attendanceHistory_() {
+  const out = new Map();
+  const att = SpreadsheetApp.getActive().getSheetByName('Attendance');
+  if (!att) return out;
+  const vals = att.getDataRange().getValues();
+  const h = vals[0].map(String);
+  const cEvent = h.indexOf('Event ID');
+  const cCampus = h.indexOf('Campus Email');
+  const cTs = h.indexOf('Timestamp');
+  if (cEvent < 0 || cCampus < 0) return out;
+
+  const starts = new Map(readEventLog_().map(ev => [ev.id.toLowerCase(), eventStart_(ev)]));
+  for (let i = 1; i < vals.length; i++) {
+    const ce = String(vals[i][cCampus] || '').trim().toLowerCase();
+    const id = String(vals[i][cEvent] || '').trim().toLowerCase();
+    if (!ce || !id) continue;
+    const list = out.get(ce) || [];
+    if (list.some(a => a.eventId === id)) continue;
+    const ts = cTs >= 0 && vals[i][cTs] instanceof Date ? vals[i][cTs] : null;
+    const at = starts.get(id) || ts;
+    list.push({ eventId: id, at: at ? at.getTime() : null });
+    out.set(ce, list);
+  }
+  return out;
+}
+
+function fieldMatches_(op, cell, value) {
+  const text = (cell instanceof Date
+    ? Utilities.formatDate(cell, Session.getScriptTimeZone() || 'America/New_York', 'yyyy-MM-dd')
+    : String(cell === null || cell === undefined ? '' : cell)).trim();
+  const want = String(value || '').trim().toLowerCase();
+  switch (op) {
+    case 'is':      return text.toLowerCase() === want;
+    case 'isnot':   return text.toLowerCase() !== want;
+    case 'contains': return text.toLowerCase().includes(want);
+    case 'isset':   return text !== '';
+    case 'notset':  return text === '';
+    case 'before':
+    case 'after': {
+      const d = cell instanceof Date ? cell : new Date(text);
+      const v = new Date(value);
+      if (!text || isNaN(d.getTime())) return false;
+      return op === 'before' ? d < v : d > v;
+    }
+    case 'atleast': return text !== '' && isFinite(Number(text)) && Number(text) >= Number(value);
+    case 'atmost':  return text !== '' && isFinite(Number(text)) && Number(text) <= Number(value);
+  }
+  return false;
+}
+
+function segmentRuleMatches_(r, headers, row, attended, now) {
+  switch (r.type) {
+    case 'field': {
+      const col = headers.indexOf(r.column);
+      if (col < 0) throw new Error(`Student Database has no "${r.column}" column (used by an audience segment).`);
+      return fieldMatches_(r.op, row[col], r.value);
+    }
+    case 'attendedAtLeast': return attended.length >= Number(r.value);
+    case 'attendedAtMost':  return attended.length <= Number(r.value);
+    case 'attended':        return attended.some(a => a.eventId === String(r.value).toLowerCase());
+    case 'notAttended':     return !attended.some(a => a.eventId === String(r.value).toLowerCase());
+    case 'inactiveDays': {
+      const last = attended.reduce((m, a) => Math.max(m, a.at || 0), 0);
+      return !last || now - last > Number(r.value) * 86400000;
+    }
+  }
+  return false;
+}
+
+// Lowercased campus emails of the Student Database rows (dVals, header row first) matching every rule
+function segmentEmails_(rules, dVals) {
+  const headers = dVals[0].map(h => String(h).trim());
+  const dCampus = headers.indexOf('Campus Email');
+  const history = rules.some(r => r.type !== 'field') ? attendanceHistory_() : new Map();
+  const now = Date.now();
+  const emails = new Set();
+  for (let i = 1; i < dVals.length; i++) {
+    const ce = String(dVals[i][dCampus] || '').trim().toLowerCase();
+    if (!ce) continue;
+    const attended = history.get(ce) || [];
+    if (rules.every(r => segmentRuleMatches_(r, headers, dVals[i], attended, now))) emails.add(ce);
+  }
+  return emails;
+}
+
+function studentColumns_() {
+  const db = SpreadsheetApp.getActive().getSheetByName('Student Database');
+  if (!db || !db.getLastColumn()) return [];
+  return db.getRange(1, 1, 1, db.getLastColumn()).getValues()[0].map(h => String(h).trim()).filter(Boolean);
+}
+
+// Runs fn while holding the script lock so two editors can't interleave writes
+function withSegmentLock_(fn) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) throw new Error('Segments are being updated. Try again in a moment.');
+  try {
+    return fn();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/***** Sidebar RPCs *****/
+// Saved segments (updatedAt as epoch ms) plus the Student Database columns rules can use
+function uiListSegments() {
+  requireAdmin_();
+  requirePass_();
+  return {
+    columns: studentColumns_(),
+    segments: readSegments_().map(s => ({
+      name: s.name, key: SEGMENT_PREFIX + s.name, rules: s.rules || [], description: s.description,
+      updatedBy: s.updatedBy, updatedAt: s.updatedAt ? s.updatedAt.getTime() : null
+    }))
+  };
+}
+
+// Live count for rules being edited: { matched, count, capped, description }. matched is every
+// Student Database row the rules select; count is who a send would reach right now.
+function uiCountSegment(rules) {
+  requireAdmin_();
+  requirePass_();
+  const r = validateSegmentRules_(rules, studentColumns_());
+  const db = SpreadsheetApp.getActive().getSheetByName('Student Database');
+  if (!db) throw new Error('Missing "Student Database" sheet.');
+  const matched = segmentEmails_(r, db.getDataRange().getValues()).size;
+  const {people, capped} = resolveAudience_('', SEGMENT_PREFIX, {segmentRules: r});
+  return { matched, count: people.length, capped, description: describeSegment_(r) };
+}
+
+// Create or update a segment. payload: { name, rules, originalName } (originalName when editing,
+// so a segment can be renamed)
+function uiSaveSegment(payload) {
+  requireAdmin_();
+  requirePass_();
+  const name = String((payload && payload.name) || '').trim();
+  if (!name) throw new Error('Name is required.');
+  if (name.length > 60) throw new Error('Keep the name under 60 characters.');
+  const rules = validateSegmentRules_(payload.rules, studentColumns_());
+  return withSegmentLock_(() => {
+    const sh = segmentSheet_();
+    const existing = payload.originalName ? findSegment_(payload.originalName) : null;
+    if (payload.originalName && !existing) throw new Error(`Segment "${payload.originalName}" not found.`);
+    const clash = findSegment_(name);
+    if (clash && (!existing || clash.row !== existing.row)) throw new Error(`A segment named "${clash.name}" already exists.`);
+    const row = [name, JSON.stringify(rules), describeSegment_(rules), Session.getActiveUser().getEmail() || '', new Date()];
+    sh.getRange(existing ? existing.row : sh.getLastRow() + 1, 1, 1, row.length).setValues([row]);
+    return { name, key: SEGMENT_PREFIX + name };
+  });
+}
+
+function uiDeleteSegment(name) {
+  requireAdmin_();
+  requirePass_();
+  return withSegmentLock_(() => {
+    const seg = findSegment_(name);
+    if (!seg) throw new Error(`Segment "${name}" not found.`);
+    segmentSheet_().deleteRow(seg.row);
+    return { name: seg.name };
+  });
+}
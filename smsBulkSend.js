@@ -8,6 +8,8 @@
  * - Continues sending to remaining recipients on any error
  * - Implements batching and resume capability for execution time limits
  * - Uses dynamic column detection (no hard-coded indices)
+ * - Skips messages that fail the compliance checks (smsCompliance.js) unless the row has an override
+ * - Skips numbers at the frequency cap (smsFrequencyCap.js) unless the row has a cap override
  */
 
 // ============================================================================
@@ -27,10 +29,16 @@ const BULK_SMS_CONFIG = {
     last_sent_at: 'Last Sent At',       // Will be added if missing
     last_error_code: 'Last Error Code', // Will be added if missing
     last_error_message: 'Last Error',   // Will be added if missing
-    last_send_status: 'Send Status'     // Will be added if missing
+    last_send_status: 'Send Status',    // Will be added if missing
+    time_zone: 'Time Zone',             // Optional per-student quiet-hours time zone
+    phone_status: 'Phone Status',       // Set by contact hygiene rules (Invalid, Not Mobile, Paused)
+    line_type: 'Line Type',             // Cached Twilio Lookup result (smsLookup.js)
+    phone_valid: 'Phone Valid',         // Cached Twilio Lookup result (smsLookup.js)
+    compliance_override: 'Compliance Override', // Optional reason to send a message the compliance checks block
+    cap_override: 'Cap Override'        // Optional reason to text a number at the frequency cap (urgent)
   },
   
-  DEFAULT_MESSAGE: 'Hello! This is a message from our system.',
+  DEFAULT_MESSAGE: 'Hello from Progsu! Reply STOP to opt out.',
   CURSOR_KEY: 'BULK_SMS_CURSOR',
   TWILIO_API_VERSION: '2010-04-01'
 };
@@ -93,8 +101,14 @@ function sendBulkSMS() {
     Logger.log(`Skipped: ${result.skipped}`);
     Logger.log(`Failed: ${result.failed}`);
     Logger.log(`Opted Out (21610): ${result.optedOut}`);
+    Logger.log(`Deferred (quiet hours): ${result.deferred}`);
+    Logger.log(`Capped (frequency cap): ${result.capped}`);
+    Logger.log(`Blocked (compliance): ${result.blocked}`);
     
-    if (result.hasMore) {
+    if (result.budgetStopped) {
+      Logger.log(`Stopped at the monthly SMS budget. Next cursor: ${result.nextCursor}`);
+      Logger.log('Raise SMS_MONTHLY_BUDGET or wait for next month, then run again.');
+    } else if (result.hasMore) {
       Logger.log(`More rows to process. Next cursor: ${result.nextCursor}`);
       Logger.log('Trigger this function again or wait for next scheduled run.');
     } else {
@@ -148,6 +162,8 @@ function testSingleSMS() {
 
 /**
  * Process a batch of rows, send SMS, and update sheet.
+ * Stops early (budgetStopped) when the next send would go past SMS_MONTHLY_BUDGET.
+ * Rows whose message the compliance checks block are marked BLOCKED (counted in blocked).
  */
 function processBatch(sheet, allData, columnMap, credentials, startCursor) {
   const stats = {
@@ -156,6 +172,10 @@ function processBatch(sheet, allData, columnMap, credentials, startCursor) {
     skipped: 0,
     failed: 0,
     optedOut: 0,
+    deferred: 0,
+    capped: 0,
+    blocked: 0,
+    budgetStopped: false,
     hasMore: false,
     nextCursor: startCursor
   };
@@ -163,6 +183,7 @@ function processBatch(sheet, allData, columnMap, credentials, startCursor) {
   const headerRow = 0;
   const totalRows = allData.length;
   let currentRow = startCursor;
+  const compliance = complianceGate_('bulk'); // each distinct message is checked and logged once
   
   while (currentRow < totalRows && stats.processed < BULK_SMS_CONFIG.BATCH_SIZE) {
     const rowIndex = currentRow;
@@ -198,10 +219,81 @@ function processBatch(sheet, allData, columnMap, credentials, startCursor) {
       continue;
     }
     
+    // Contact hygiene: skip numbers flagged invalid, non-mobile or paused
+    if (isPhoneSuppressed_(getColumnValue(rowData, columnMap, 'phone_status'))) {
+      Logger.log(`Row ${sheetRowNumber}: Skipping ${phone} - Phone Status is ${getColumnValue(rowData, columnMap, 'phone_status')}`);
+      stats.skipped++;
+      currentRow++;
+      continue;
+    }
+    
+    // Lookup pre-flight: skip numbers Twilio Lookup found invalid or not mobile
+    if (isLookupExcluded_(getColumnValue(rowData, columnMap, 'line_type'), getColumnValue(rowData, columnMap, 'phone_valid'))) {
+      Logger.log(`Row ${sheetRowNumber}: Skipping ${phone} - Lookup says invalid or not mobile`);
+      stats.skipped++;
+      currentRow++;
+      continue;
+    }
+    
+    // Frequency cap: skip numbers that already got enough texts this window, unless overridden
+    const capOverride = String(getColumnValue(rowData, columnMap, 'cap_override') || '').trim();
+    if (isFrequencyCapped_(phone)) {
+      if (!capOverride) {
+        Logger.log(`Row ${sheetRowNumber}: Skipping ${phone} - frequency cap reached`);
+        setColumnValue(sheet, sheetRowNumber, columnMap, 'last_send_status', 'CAPPED');
+        stats.capped++;
+        currentRow++;
+        continue;
+      }
+      Logger.log(`Row ${sheetRowNumber}: Frequency cap overridden for ${phone}: ${capOverride}`);
+    }
+    
+    // Compliance: opt-out language, sender name, no public shorteners (smsCompliance.js)
+    const blockedBy = compliance(message, getColumnValue(rowData, columnMap, 'compliance_override'), `row ${sheetRowNumber}`);
+    if (blockedBy) {
+      Logger.log(`Row ${sheetRowNumber}: Skipping ${phone} - ${blockedBy}`);
+      setColumnValue(sheet, sheetRowNumber, columnMap, 'last_send_status', 'BLOCKED');
+      setColumnValue(sheet, sheetRowNumber, columnMap, 'last_error_message', blockedBy);
+      stats.blocked++;
+      currentRow++;
+      continue;
+    }
+    
+    // Quiet hours: queue for release when the recipient's window opens
+    const quietUntil = quietUntil_(getColumnValue(rowData, columnMap, 'time_zone') || Session.getScriptTimeZone());
+    if (quietUntil) {
+      Logger.log(`Row ${sheetRowNumber}: Deferring ${phone} until ${quietUntil} (quiet hours)`);
+      deferSend_(toE164_(phone), message, 'bulk', quietUntil);
+      setColumnValue(sheet, sheetRowNumber, columnMap, 'last_send_status', 'DEFERRED');
+      stats.deferred++;
+      currentRow++;
+      continue;
+    }
+    
+    // Twilio needs E.164; numbers that can't be parsed would only bounce
+    const to = toE164_(phone);
+    if (!to) {
+      Logger.log(`Row ${sheetRowNumber}: Skipping ${phone} - not a valid phone number`);
+      updateRowError(sheet, sheetRowNumber, columnMap, { errorCode: 'INVALID_NUMBER', errorMessage: 'Invalid phone number: not sent' });
+      stats.failed++;
+      currentRow++;
+      continue;
+    }
+    
+    // Monthly budget (smsSegments.js): stop before this row so the next run picks it up
+    try {
+      assertWithinBudget_(smsSegments_(message).segments * pricePerSegment_(), `Row ${sheetRowNumber}`);
+    } catch (budgetError) {
+      Logger.log(`Row ${sheetRowNumber}: Stopping batch - ${budgetError.message}`);
+      stats.processed--;
+      stats.budgetStopped = true;
+      break;
+    }
+    
     // Send SMS
-    Logger.log(`Row ${sheetRowNumber}: Sending to ${phone}...`);
+    Logger.log(`Row ${sheetRowNumber}: Sending to ${to}...`);
     const sendResult = sendTwilioSMS(
-      phone,
+      to,
       message,
       credentials.accountSid,
       credentials.authToken,
@@ -209,6 +301,8 @@ function processBatch(sheet, allData, columnMap, credentials, startCursor) {
       credentials.messagingServiceSid
     );
     
+    logBulkSend_(to, message, sendResult);
+    
     // Update sheet based on result
     if (sendResult.success) {
       Logger.log(`Row ${sheetRowNumber}: SUCCESS - ${sendResult.messageSid}`);
@@ -226,6 +320,11 @@ function processBatch(sheet, allData, columnMap, credentials, startCursor) {
       stats.failed++;
     }
     
+    // Same error-code rules as every other send path (smsHygiene.js); 21610 is already handled above
+    if (!sendResult.success) {
+      applyErrorHygiene_(phone, sendResult.errorCode, HYGIENE_SOURCES.BULK, sendResult.errorMessage);
+    }
+    
     // Rate limiting
     if (stats.processed < BULK_SMS_CONFIG.BATCH_SIZE) {
       Utilities.sleep(BULK_SMS_CONFIG.RATE_LIMIT_MS);
@@ -253,9 +352,11 @@ function processBatch(sheet, allData, columnMap, credentials, startCursor) {
 
 /**
  * Send SMS via Twilio REST API.
- * Uses muteHttpExceptions for robust error handling.
+ * Uses muteHttpExceptions for robust error handling; 429/5xx/network errors are
+ * retried in-call with backoff (fetchTwilioWithRetry_ in smsRetry.js).
  * 
- * @returns {Object} { success: boolean, messageSid?: string, errorCode?: number, errorMessage?: string }
+ * @returns {Object} { success: boolean, messageSid?: string, errorCode?: number, errorMessage?: string,
+ *                     errorClass?: 'transient'|'permanent' }
  */
 function sendTwilioSMS(to, body, accountSid, authToken, from, messagingServiceSid) {
   const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
@@ -289,7 +390,7 @@ function sendTwilioSMS(to, body, accountSid, authToken, from, messagingServiceSi
   };
   
   try {
-    const response = UrlFetchApp.fetch(url, options);
+    const response = fetchTwilioWithRetry_(url, options);
     const responseCode = response.getResponseCode();
     const responseText = response.getContentText();
     
@@ -301,15 +402,20 @@ function sendTwilioSMS(to, body, accountSid, authToken, from, messagingServiceSi
       return {
         success: false,
         errorCode: 'JSON_PARSE_ERROR',
-        errorMessage: `Failed to parse Twilio response: ${responseText.substring(0, 200)}`
+        errorMessage: `Failed to parse Twilio response: ${responseText.substring(0, 200)}`,
+        errorClass: classifyTwilioError_(responseCode, null)
       };
     }
     
     // Check if successful
     if (responseCode === 201 || responseCode === 200) {
+      const segments = Number(responseJson.num_segments) || smsSegments_(body).segments;
+      recordSmsCost_(messageCost_(segments, false));
       return {
         success: true,
-        messageSid: responseJson.sid
+        messageSid: responseJson.sid,
+        httpCode: responseCode,
+        segments: segments
       };
     }
     
@@ -320,7 +426,9 @@ function sendTwilioSMS(to, body, accountSid, authToken, from, messagingServiceSi
     return {
       success: false,
       errorCode: errorCode,
-      errorMessage: errorMessage
+      errorMessage: errorMessage,
+      errorClass: classifyTwilioError_(responseCode, responseJson.code),
+      httpCode: responseCode
     };
     
   } catch (error) {
@@ -328,11 +436,31 @@ function sendTwilioSMS(to, body, accountSid, authToken, from, messagingServiceSi
     return {
       success: false,
       errorCode: 'NETWORK_ERROR',
-      errorMessage: error.toString()
+      errorMessage: error.toString(),
+      errorClass: 'transient'
     };
   }
 }
 
+/**
+ * Record a bulk send in the SMS Log so the frequency cap counts it.
+ * Kind "bulk" keeps it out of the SMS Log retry queue: this sheet retries its own rows.
+ * Never throws.
+ */
+function logBulkSend_(to, body, sendResult) {
+  try {
+    logSms_(to, body, sendResult.messageSid || '', sendResult.httpCode || 0,
+      sendResult.success ? '' : sendResult.errorMessage, '', {
+        kind: 'bulk',
+        errorCode: sendResult.success ? '' : sendResult.errorCode,
+        segments: sendResult.segments || '',
+        cost: sendResult.success ? messageCost_(sendResult.segments, false) : 0
+      });
+  } catch (e) {
+    Logger.log('LOG FAIL: ' + e);
+  }
+}
+
 // ============================================================================
 // SHEET UPDATES
 // ============================================================================
@@ -355,21 +483,28 @@ function updateRowSuccess(sheet, rowNumber, columnMap) {
  */
 function updateRowOptOut(sheet, rowNumber, columnMap, sendResult) {
   const now = new Date();
+  const oldOptIn = sheet.getRange(rowNumber, columnMap.opt_in + 1).getValue();
+  const phone = sheet.getRange(rowNumber, columnMap.phone + 1).getValue();
   
   setColumnValue(sheet, rowNumber, columnMap, 'opt_in', 'NO');
   setColumnValue(sheet, rowNumber, columnMap, 'last_send_status', 'OPTED_OUT');
   setColumnValue(sheet, rowNumber, columnMap, 'last_error_code', sendResult.errorCode);
   setColumnValue(sheet, rowNumber, columnMap, 'last_error_message', sendResult.errorMessage);
   setColumnValue(sheet, rowNumber, columnMap, 'last_sent_at', now);
+  
+  recordConsent_(phone, oldOptIn, 'NO', CONSENT_SOURCES.TWILIO_21610, sendResult.errorMessage);
 }
 
 /**
  * Update row after other errors.
+ * Transient failures (429, 5xx, network) are marked FAILED_TRANSIENT so they can be re-sent;
+ * everything else is FAILED and will fail the same way again.
  */
 function updateRowError(sheet, rowNumber, columnMap, sendResult) {
   const now = new Date();
+  const status = sendResult.errorClass === 'transient' ? 'FAILED_TRANSIENT' : 'FAILED';
   
-  setColumnValue(sheet, rowNumber, columnMap, 'last_send_status', 'FAILED');
+  setColumnValue(sheet, rowNumber, columnMap, 'last_send_status', status);
   setColumnValue(sheet, rowNumber, columnMap, 'last_error_code', sendResult.errorCode);
   setColumnValue(sheet, rowNumber, columnMap, 'last_error_message', sendResult.errorMessage);
   setColumnValue(sheet, rowNumber, columnMap, 'last_sent_at', now);
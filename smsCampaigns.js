@@ -0,0 +1,302 @@
+/***** Resumable campaigns *****/
+// Every composer send, scheduled send, automated event send and event menu send becomes a campaign. The audience is snapshotted into
+// "Campaign Recipients" (one status row per person) and worked through in time-boxed chunks: for the
+// composer the first chunk runs inside the sidebar call, the rest (and all of a queued campaign) in
+// continueCampaigns on one-off triggers until nothing is pending.
+// A recipient is attempted at most once per campaign, so resuming after a timeout or re-clicking
+// Send for the same request never texts anyone twice.
+//
+// Links in the message are tracked per recipient (smsLinks.js).
+//
+// Recipient status: pending -> sending -> sent | dryrun | deferred | failed, or pending -> skipped
+// when the message would take the month past SMS_MONTHLY_BUDGET (re-read every chunk, smsSegments.js)
+// or the number opted out, was suppressed or excluded by Lookup after the audience was snapshotted.
+// A row left in "sending" (execution killed mid-send) becomes "unconfirmed" and is not retried.
+//
+// Script Properties:
+//   CAMPAIGN_CHUNK_SECONDS   time budget per trigger run (default 240; Apps Script stops at 360)
+
+const CAMPAIGN_SHEET = 'Campaigns';
+const CAMPAIGN_HEADERS = [
+  'Campaign ID', 'Request ID', 'Created At', 'Created By', 'Event ID', 'Audience', 'Message',
+  'RSVP', 'Status', 'Total', 'Sent', 'Failed', 'Pending', 'Updated At', 'Media URL'
+];
+const CAMPAIGN_COL = CAMPAIGN_HEADERS.reduce((m, h, i) => (m[h] = i, m), {}); // header -> 0-based
+const RECIPIENT_SHEET = 'Campaign Recipients';
+const RECIPIENT_HEADERS = ['Campaign ID', 'Phone', 'Campus Email', 'Student Name', 'Status', 'Attempted At', 'Result'];
+const RECIPIENT_COL = RECIPIENT_HEADERS.reduce((m, h, i) => (m[h] = i, m), {});
+const CAMPAIGN_TRIGGER_FN = 'continueCampaigns';
+const CAMPAIGN_INLINE_SECONDS = 45;          // keep the sidebar call short
+const CAMPAIGN_RESUME_DELAY_MS = 60 * 1000;
+
+function campaignSheet_(name, headers) {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(name);
+  if (!sh) {
+    sh = ss.insertSheet(name);
+    sh.appendRow(headers);
+    sh.setFrozenRows(1);
+  } else if (sh.getLastColumn() < headers.length) {
+    sh.getRange(1, 1, 1, headers.length).setValues([headers]); // columns added since the sheet was made
+  }
+  return sh;
+}
+
+function campaignChunkMs_() {
+  const s = Number(getProp_('CAMPAIGN_CHUNK_SECONDS', '240'));
+  return (isFinite(s) && s > 0 ? Math.min(s, 300) : 240) * 1000;
+}
+
+// [{ row, id, requestId, eventId, audienceKey, message, rsvp, status, mediaUrl }]
+// message is the template as written; each recipient gets their own render (smsRender.js)
+function readCampaigns_(sh) {
+  const vals = sh.getDataRange().getValues();
+  const out = [];
+  for (let i = 1; i < vals.length; i++) {
+    const v = vals[i];
+    const id = String(v[CAMPAIGN_COL['Campaign ID']] || '').trim();
+    if (!id) continue;
+    out.push({
+      row: i + 1,
+      id,
+      requestId: String(v[CAMPAIGN_COL['Request ID']] || ''),
+      eventId: String(v[CAMPAIGN_COL['Event ID']] || ''),
+      audienceKey: String(v[CAMPAIGN_COL['Audience']] || ''),
+      message: String(v[CAMPAIGN_COL['Message']] || ''),
+      rsvp: v[CAMPAIGN_COL['RSVP']] === true,
+      status: String(v[CAMPAIGN_COL['Status']] || '').toLowerCase(),
+      mediaUrl: String(v[CAMPAIGN_COL['Media URL']] || '')
+    });
+  }
+  return out;
+}
+
+// Resolve and snapshot the audience. Numbers shared by several students get one text.
+// opts: resolveAudience_ options plus mediaUrl (published MMS image, smsMedia.js)
+function createCampaign_(eventId, audienceKey, body, requestId, opts) {
+  const {people} = resolveAudience_(eventId, audienceKey, opts);
+  const id = 'C' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyMMddHHmmss') +
+    '-' + Utilities.getUuid().slice(0, 4);
+
+  const message = String(body || '');
+  createCampaignLinks_(id, renderMessage_(message, eventId));
+
+  const seen = new Set();
+  const rows = [];
+  people.forEach(p => {
+    const key = normalizePhoneDigits_(p.phone);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    const row = RECIPIENT_HEADERS.map(() => '');
+    row[RECIPIENT_COL['Campaign ID']] = id;
+    row[RECIPIENT_COL['Phone']] = p.phone;
+    row[RECIPIENT_COL['Campus Email']] = p.campusEmail;
+    row[RECIPIENT_COL['Student Name']] = p.name;
+    row[RECIPIENT_COL['Status']] = 'pending';
+    rows.push(row);
+  });
+  if (rows.length) {
+    const rsh = campaignSheet_(RECIPIENT_SHEET, RECIPIENT_HEADERS);
+    rsh.getRange(rsh.getLastRow() + 1, 1, rows.length, RECIPIENT_HEADERS.length).setValues(rows);
+  }
+
+  const row = CAMPAIGN_HEADERS.map(() => '');
+  row[CAMPAIGN_COL['Campaign ID']] = id;
+  row[CAMPAIGN_COL['Request ID']] = requestId || '';
+  row[CAMPAIGN_COL['Created At']] = new Date();
+  row[CAMPAIGN_COL['Created By']] = Session.getActiveUser().getEmail() || '';
+  row[CAMPAIGN_COL['Event ID']] = eventId || '';
+  row[CAMPAIGN_COL['Audience']] = audienceKey || '';
+  row[CAMPAIGN_COL['Message']] = message;
+  row[CAMPAIGN_COL['RSVP']] = !!eventId && /\{rsvp\}/.test(body || '');
+  row[CAMPAIGN_COL['Status']] = rows.length ? 'sending' : 'done';
+  row[CAMPAIGN_COL['Total']] = rows.length;
+  row[CAMPAIGN_COL['Sent']] = 0;
+  row[CAMPAIGN_COL['Failed']] = 0;
+  row[CAMPAIGN_COL['Pending']] = rows.length;
+  row[CAMPAIGN_COL['Updated At']] = new Date();
+  row[CAMPAIGN_COL['Media URL']] = (opts && opts.mediaUrl) || '';
+  const sh = campaignSheet_(CAMPAIGN_SHEET, CAMPAIGN_HEADERS);
+  sh.appendRow(row);
+  return readCampaigns_(sh).find(c => c.id === id);
+}
+
+// Tally recipient rows for one campaign
+function countRecipients_(vals, id) {
+  const n = { total: 0, sent: 0, failed: 0, deferred: 0, unconfirmed: 0, skipped: 0, pending: 0 };
+  for (let i = 1; i < vals.length; i++) {
+    if (String(vals[i][RECIPIENT_COL['Campaign ID']]) !== id) continue;
+    const st = String(vals[i][RECIPIENT_COL['Status']] || '');
+    n.total++;
+    if (st === 'sent' || st === 'dryrun') n.sent++;
+    else if (st === 'failed') n.failed++;
+    else if (st === 'deferred') n.deferred++;
+    else if (st === 'unconfirmed') n.unconfirmed++;
+    else if (st === 'skipped') n.skipped++;
+    else n.pending++;
+  }
+  return n;
+}
+
+// Send to this campaign's pending recipients until the deadline. Caller holds the document lock.
+// send: sendOneWithControls_ (sidebar) or deliverWithControls_ (triggers). Returns the counts.
+function runCampaignChunk_(sh, c, send, deadline) {
+  const rsh = campaignSheet_(RECIPIENT_SHEET, RECIPIENT_HEADERS);
+  const vals = rsh.getDataRange().getValues();
+  const statusCol = RECIPIENT_COL['Status'] + 1;
+  const links = campaignLinks_(c.id);
+  const ctx = templateContext_(c.eventId);
+  const students = studentFieldsByEmail_();
+  const byPhone = studentsByPhone_(), consent = latestConsentByPhone_(); // re-checked at send time
+  const reminded = [];
+  let remaining = budgetStatus_().remaining; // other sends spend too, so never carried between chunks
+
+  for (let i = 1; i < vals.length && Date.now() < deadline; i++) {
+    const v = vals[i];
+    if (String(v[RECIPIENT_COL['Campaign ID']]) !== c.id) continue;
+    const status = String(v[RECIPIENT_COL['Status']] || '');
+    if (status === 'sending') {
+      // A previous run died between marking and recording; Twilio may have the message already
+      v[RECIPIENT_COL['Status']] = 'unconfirmed';
+      rsh.getRange(i + 1, statusCol).setValue('unconfirmed');
+      continue;
+    }
+    if (status !== 'pending') continue;
+
+    const phone = String(v[RECIPIENT_COL['Phone']] || '');
+    const blocked = deferredBlockReason_(phone, byPhone, consent);
+    if (blocked) {
+      rsh.getRange(i + 1, statusCol, 1, 3).setValues([['skipped', new Date(), blocked]]);
+      v[RECIPIENT_COL['Status']] = 'skipped';
+      continue;
+    }
+    const name = String(v[RECIPIENT_COL['Student Name']] || '').trim();
+    const fields = students.get(String(v[RECIPIENT_COL['Campus Email']] || '').toLowerCase()) || { 'Student Name': name };
+    const msg = trackLinks_(renderTemplate_(c.message, recipientContext_(ctx, fields)).text, links, i + 1);
+    const cost = messageCost_(smsSegments_(msg).segments, !!c.mediaUrl);
+    if (cost > remaining) {
+      rsh.getRange(i + 1, statusCol, 1, 3).setValues([['skipped', new Date(), 'Monthly SMS budget reached']]);
+      v[RECIPIENT_COL['Status']] = 'skipped';
+      continue;
+    }
+
+    // Mark first so a crash mid-send never re-sends to this person
+    rsh.getRange(i + 1, statusCol, 1, 2).setValues([['sending', new Date()]]);
+    SpreadsheetApp.flush();
+
+    let res;
+    try {
+      res = send(toE164_(phone), msg, c.mediaUrl ? { mediaUrl: c.mediaUrl } : undefined);
+    } catch (err) {
+      res = { success: false, error: String(err && err.message || err) };
+    }
+    const next = res.deferred ? 'deferred' : res.dryRun ? 'dryrun' : res.success ? 'sent' : 'failed';
+    const result = res.success ? ((res.data && res.data.sid) || '') : (res.error || 'failed');
+    rsh.getRange(i + 1, statusCol, 1, 3).setValues([[next, new Date(), result]]);
+    v[RECIPIENT_COL['Status']] = next;
+    if (res.success && !res.dryRun && !res.deferred) remaining -= cost;
+
+    if (c.rsvp && res.success && !res.dryRun) {
+      reminded.push({ campusEmail: String(v[RECIPIENT_COL['Campus Email']] || ''), phone, name });
+    }
+  }
+  if (reminded.length) recordRsvpReminders_(c.eventId, reminded);
+
+  const n = countRecipients_(vals, c.id);
+  const row = [n.pending ? 'sending' : 'done', n.total, n.sent, n.failed, n.pending, new Date()];
+  sh.getRange(c.row, CAMPAIGN_COL['Status'] + 1, 1, row.length).setValues([row]);
+  return n;
+}
+
+// One-off continuation trigger (at most one queued at a time)
+function scheduleCampaignResume_() {
+  const exists = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === CAMPAIGN_TRIGGER_FN);
+  if (!exists) {
+    ScriptApp.newTrigger(CAMPAIGN_TRIGGER_FN).timeBased().after(CAMPAIGN_RESUME_DELAY_MS).create();
+  }
+}
+
+function clearCampaignTriggers_() {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === CAMPAIGN_TRIGGER_FN)
+    .forEach(t => ScriptApp.deleteTrigger(t));
+}
+
+/***** Continuation (one-off time-driven trigger) *****/
+// Uses the document lock, not the script lock, so inbound texts aren't held up while a chunk sends.
+function continueCampaigns() {
+  clearCampaignTriggers_(); // fired one-off triggers stay listed until deleted
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(1000)) { scheduleCampaignResume_(); return; } // sidebar chunk still running
+
+  let more = false;
+  try {
+    const sh = campaignSheet_(CAMPAIGN_SHEET, CAMPAIGN_HEADERS);
+    const deadline = Date.now() + campaignChunkMs_();
+    for (const c of readCampaigns_(sh).filter(x => x.status === 'sending')) {
+      if (Date.now() >= deadline) { more = true; break; }
+      try {
+        if (runCampaignChunk_(sh, c, deliverWithControls_, deadline).pending) more = true;
+      } catch (err) {
+        more = true;
+        Logger.log(`Campaign ${c.id} chunk failed: ${err}`);
+      }
+    }
+  } finally {
+    lock.releaseLock();
+  }
+  if (more) scheduleCampaignResume_();
+}
+
+// For triggers: snapshot the audience (or find the campaign already made for requestId) and leave
+// every send to continueCampaigns, so the caller's lock is only held for the snapshot.
+function queueCampaign_(eventId, audienceKey, body, requestId, opts) {
+  const sh = campaignSheet_(CAMPAIGN_SHEET, CAMPAIGN_HEADERS);
+  const c = readCampaigns_(sh).find(x => x.requestId === requestId) ||
+    createCampaign_(eventId, audienceKey, body, requestId, opts);
+  if (c.status === 'sending') scheduleCampaignResume_();
+  return c;
+}
+
+// { campaignId, status, total, sent, failed, deferred, unconfirmed, skipped, pending }
+function campaignProgress_(c) {
+  const vals = campaignSheet_(RECIPIENT_SHEET, RECIPIENT_HEADERS).getDataRange().getValues();
+  const n = countRecipients_(vals, c.id);
+  return Object.assign({ campaignId: c.id, status: n.pending ? 'sending' : 'done' }, n);
+}
+
+// Progress of the campaign made for requestId, or null if there is none
+function campaignProgressFor_(requestId) {
+  const c = readCampaigns_(campaignSheet_(CAMPAIGN_SHEET, CAMPAIGN_HEADERS)).find(x => x.requestId === requestId);
+  return c ? campaignProgress_(c) : null;
+}
+
+/***** Sidebar RPCs *****/
+// Starts (or, for a repeated requestId, resumes) a campaign and sends the first chunk inline.
+// Returns progress: { campaignId, status, total, sent, failed, deferred, unconfirmed, skipped, pending }
+function startCampaign_(eventId, audienceKey, body, requestId, opts) {
+  const sh = campaignSheet_(CAMPAIGN_SHEET, CAMPAIGN_HEADERS);
+  let c = requestId ? readCampaigns_(sh).find(x => x.requestId === requestId) : null;
+  if (!c) c = createCampaign_(eventId, audienceKey, body, requestId, opts);
+  if (c.status !== 'sending') return uiCampaignProgress(c.id);
+
+  // Queue the continuation first so a timeout in the inline chunk still gets picked up
+  scheduleCampaignResume_();
+  const lock = LockService.getDocumentLock();
+  if (lock.tryLock(1000)) {
+    try {
+      runCampaignChunk_(sh, c, sendOneWithControls_, Date.now() + CAMPAIGN_INLINE_SECONDS * 1000);
+    } finally {
+      lock.releaseLock();
+    }
+  }
+  return uiCampaignProgress(c.id);
+}
+
+function uiCampaignProgress(campaignId) {
+  requireAdmin_();
+  requirePass_();
+  const c = readCampaigns_(campaignSheet_(CAMPAIGN_SHEET, CAMPAIGN_HEADERS)).find(x => x.id === campaignId);
+  if (!c) throw new Error('Campaign not found: ' + campaignId);
+  return campaignProgress_(c);
+}
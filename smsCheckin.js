@@ -0,0 +1,84 @@
+/***** SMS check-in: text "CHECKIN <EventID>" to record attendance *****/
+// Optional window (Script Properties, minutes relative to the Event Log date):
+//   CHECKIN_WINDOW_BEFORE_MIN  earliest check-in, e.g. 30 = opens 30 min before start
+//   CHECKIN_WINDOW_AFTER_MIN   latest check-in,   e.g. 180 = closes 3h after start
+// Leave either blank to not enforce that side.
+
+const CHECKIN_PATTERN = /^CHECK[\s-]?IN\b\s*(.*)$/i;
+
+function isCheckinMessage_(body) {
+  return CHECKIN_PATTERN.test(String(body || '').trim());
+}
+
+// Returns the reply text for a check-in message
+function handleCheckin_(from, body) {
+  const m = String(body || '').trim().match(CHECKIN_PATTERN);
+  const eventId = m ? m[1].trim() : '';
+  if (!eventId) {
+    return 'To check in, text CHECKIN followed by the event ID (e.g. CHECKIN W-101).';
+  }
+
+  const ev = findEventRow_(eventId);
+  if (!ev) {
+    return `We couldn't find an event with ID "${eventId}". Double-check the ID and try again.`;
+  }
+  const title = String(ev.title || ev.id);
+
+  const windowMsg = checkinWindowError_(ev);
+  if (windowMsg) return windowMsg;
+
+  const student = findStudentByPhone_(from);
+  if (!student) {
+    return `We don't have this number on file, so we couldn't check you in to ${title}. Please use the attendance form instead.`;
+  }
+  const campusEmail = String(student.obj['Campus Email'] || '').trim().toLowerCase();
+  if (!campusEmail) {
+    return `Your profile is missing a campus email, so we couldn't check you in to ${title}. Please use the attendance form instead.`;
+  }
+
+  const att = SpreadsheetApp.getActive().getSheetByName(CONFIG.attendanceSheetName);
+  if (!att) {
+    logInbound_('SYSTEM', `CHECKIN: no "${CONFIG.attendanceSheetName}" sheet`, '', '');
+    return 'Check-in is unavailable right now. Please use the attendance form.';
+  }
+
+  // appendAttendanceRow_ writes at getLastRow()+1; serialize concurrent check-ins
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return 'Check-in is busy right now. Please try again in a moment.';
+  }
+  try {
+    if (hasAttendance_(att, ev.id, campusEmail)) {
+      return `You're already checked in to ${title}. See you there!`;
+    }
+    appendAttendanceRow_(att, ev.id, student.obj);
+  } catch (err) {
+    logInbound_('SYSTEM', `CHECKIN FAIL for ${from} -> ${ev.id}: ${err}`, '', '');
+    return 'Something went wrong checking you in. Please use the attendance form.';
+  } finally {
+    lock.releaseLock();
+  }
+
+  const name = String(student.obj['Student Name'] || '').trim().split(/\s+/)[0];
+  return `You're checked in to ${title}${name ? ', ' + name : ''}! Thanks for coming.`;
+}
+
+// Returns an error reply if the event has a date and now falls outside the configured window
+function checkinWindowError_(ev) {
+  const before = getProp_('CHECKIN_WINDOW_BEFORE_MIN', '');
+  const after  = getProp_('CHECKIN_WINDOW_AFTER_MIN', '');
+  if (before === '' && after === '') return '';
+
+  const start = eventStart_(ev);
+  if (!start) return ''; // no usable date: don't block
+
+  const now = Date.now();
+  const title = String(ev.title || ev.id);
+  if (before !== '' && now < start.getTime() - Number(before) * 60000) {
+    return `Check-in for ${title} isn't open yet. It opens ${Number(before)} minutes before ${formatEventDate_(start)}.`;
+  }
+  if (after !== '' && now > start.getTime() + Number(after) * 60000) {
+    return `Check-in for ${title} has closed.`;
+  }
+  return '';
+}
@@ -0,0 +1,121 @@
+/***** Compliance checks before sending *****/
+// Composer sends, scheduled sends, event automation, the event menu helpers and sendBulkSMS lint the
+// outgoing text first. They are all marketing texts, so each must carry opt-out language and name
+// the sender. Findings:
+//   optout       no "Reply STOP", "opt out" or "unsubscribe"        blocks
+//   sender       doesn't mention SMS_SENDER_NAME outside links        blocks (links may be rewritten)
+//   shortener    public URL shortener (bit.ly, tinyurl.com, ...)     blocks (carriers filter them)
+//   caps         mostly capital letters                               warns
+//   punctuation  runs like !!!, ??? or $$                             warns
+// A blocked send stops with the reasons. It goes out anyway only with an override reason (the
+// composer's "Send anyway", the scheduled send's stored reason or a bulk row's Compliance Override
+// column); every override and every block is recorded in "Compliance Log".
+// Conversational texts (keyword and inbox replies, the opt-in welcome) are not linted. Templates the
+// event automation sends (AUTOMATION_TEMPLATE_KEYS) can't be saved with blocking findings.
+//
+// Script Properties:
+//   SMS_SENDER_NAME   name every marketing text must mention (default "Progsu"; blank turns the check off)
+
+const COMPLIANCE_SHEET = 'Compliance Log';
+const COMPLIANCE_HEADERS = ['Timestamp', 'Source', 'Action', 'Reference', 'Findings', 'Override Reason', 'By', 'Message'];
+const URL_SHORTENERS = [
+  'bit.ly', 'bitly.com', 'tinyurl.com', 'goo.gl', 'ow.ly', 't.co', 't.ly', 'is.gd', 'buff.ly',
+  'rebrand.ly', 'cutt.ly', 'shorturl.at', 'tiny.cc', 'rb.gy', 'bit.do'
+];
+const LINK_RE = /\b(?:https?:\/\/|www\.)\S+|\b[\w.-]+\.[a-z]{2,}\/\S*/gi; // a domain in a link doesn't name the sender
+const OPT_OUT_RE = /\b(?:reply|text|txt|send)\s+["'“]?stop\b|\bopt[\s-]?out\b|\bunsubscribe\b/i;
+const SHOUTING_IGNORED = /\b(?:STOP|HELP|RSVP|MAYBE|START|SMS|[A-Z])\b/g; // keywords people are told to send
+const CAPS_MIN_LETTERS = 20;
+const CAPS_MAX_RATIO = 0.5;
+
+function senderName_() {
+  return String(getProp_('SMS_SENDER_NAME', 'Progsu')).trim();
+}
+
+// [{ rule, level: 'error' | 'warning', message }] for one outgoing text
+function complianceFindings_(text) {
+  const s = String(text || '');
+  const out = [];
+  if (!OPT_OUT_RE.test(s)) {
+    out.push({ rule: 'optout', level: 'error', message: 'No opt-out language. Add {footer} or "Reply STOP to opt out".' });
+  }
+  const sender = senderName_();
+  if (sender && !s.replace(LINK_RE, ' ').toLowerCase().includes(sender.toLowerCase())) {
+    out.push({ rule: 'sender', level: 'error', message: `Doesn't say who it's from. Mention "${sender}".` });
+  }
+  const shorteners = URL_SHORTENERS.filter(host =>
+    new RegExp('(^|[^\\w.-])(https?://)?(www\\.)?' + host.replace(/\./g, '\\.') + '/', 'i').test(s));
+  if (shorteners.length) {
+    out.push({ rule: 'shortener', level: 'error',
+      message: `Public link shortener (${shorteners.join(', ')}); carriers filter these. Use the full link.` });
+  }
+  const letters = s.replace(SHOUTING_IGNORED, '').replace(/[^A-Za-z]/g, '');
+  const upper = letters.replace(/[^A-Z]/g, '').length;
+  if (letters.length >= CAPS_MIN_LETTERS && upper / letters.length > CAPS_MAX_RATIO) {
+    out.push({ rule: 'caps', level: 'warning', message: 'Mostly capital letters; carriers treat shouting as spam.' });
+  }
+  if (/([!?$])\1{2,}|[!?]{4,}|\${2,}/.test(s)) {
+    out.push({ rule: 'punctuation', level: 'warning', message: 'Repeated punctuation like !!!, ??? or $$ looks like spam.' });
+  }
+  return out;
+}
+
+function complianceSheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(COMPLIANCE_SHEET);
+  if (!sh) {
+    sh = ss.insertSheet(COMPLIANCE_SHEET);
+    sh.appendRow(COMPLIANCE_HEADERS);
+    sh.setFrozenRows(1);
+  }
+  return sh;
+}
+
+// Never throws: the log must not decide whether a send happens
+function logCompliance_(source, action, reference, findings, reason, text) {
+  try {
+    complianceSheet_().appendRow([
+      new Date(), source, action, String(reference || ''),
+      findings.map(f => f.rule).join(', '), String(reason || ''),
+      Session.getActiveUser().getEmail() || '', String(text || '')
+    ]);
+  } catch (e) {
+    Logger.log('COMPLIANCE LOG FAIL: ' + e);
+  }
+}
+
+// Lint text before a send. Blocking findings throw unless override (a reason) is given; either
+// way they are recorded. Returns all findings (warnings included) when the send may go ahead.
+function enforceCompliance_(text, source, reference, override) {
+  const findings = complianceFindings_(text);
+  const blocking = findings.filter(f => f.level === 'error');
+  if (!blocking.length) return findings;
+  const reason = String(override || '').trim();
+  logCompliance_(source, reason ? 'overridden' : 'blocked', reference, blocking, reason, text);
+  if (reason) return findings;
+  throw new Error('Blocked by compliance checks: ' + blocking.map(f => f.message).join(' ') +
+    ' Fix the message or send anyway with an override reason.');
+}
+
+// Blocking findings only
+function blockingFindings_(text) {
+  return complianceFindings_(text).filter(f => f.level === 'error');
+}
+
+// enforceCompliance_ for senders that repeat the same text (sendBulkSMS): each distinct text and
+// override is linted and logged once. Returns (text, override, reference) -> '' or why it's blocked.
+function complianceGate_(source) {
+  const seen = new Map();
+  return (text, override, reference) => {
+    const key = String(text || '') + '\u0000' + String(override || '').trim();
+    if (!seen.has(key)) {
+      try {
+        enforceCompliance_(text, source, reference, override);
+        seen.set(key, '');
+      } catch (err) {
+        seen.set(key, String(err && err.message || err));
+      }
+    }
+    return seen.get(key);
+  };
+}
@@ -0,0 +1,130 @@
+/***** Consent ledger (append-only record of SMS Opt-In changes) *****/
+// Every path that changes SMS Opt-In records a row here:
+//   Timestamp | Phone | Old Value | New Value | Source | Details
+// Details holds the raw inbound message or form row that caused the change.
+
+const CONSENT_SHEET = 'Consent Log';
+const CONSENT_HEADERS = ['Timestamp', 'Phone', 'Old Value', 'New Value', 'Source', 'Details'];
+
+const CONSENT_SOURCES = {
+  FORM:         'Form submission',
+  STOP:         'STOP keyword',
+  START:        'START keyword',
+  TWILIO_21610: 'Twilio 21610 error',
+  MANUAL:       'Manual edit',
+  JOIN:         'SMS JOIN'
+};
+
+function consentSheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(CONSENT_SHEET);
+  if (!sh) {
+    sh = ss.insertSheet(CONSENT_SHEET);
+    sh.appendRow(CONSENT_HEADERS);
+    sh.setFrozenRows(1);
+    // Append-only: warn anyone who tries to edit it by hand
+    sh.protect().setDescription('Consent ledger (append-only)').setWarningOnly(true);
+  }
+  return sh;
+}
+
+// Never throws: a ledger write failure must not block the opt-in change itself
+function recordConsent_(phone, oldValue, newValue, source, details) {
+  try {
+    consentSheet_().appendRow([
+      new Date(),
+      "'" + normalizePhoneDigits_(phone),
+      String(oldValue || ''),
+      String(newValue || ''),
+      source,
+      String(details || '')
+    ]);
+  } catch (e) {
+    Logger.log('CONSENT LOG FAIL: ' + e);
+  }
+}
+
+// Manual edits of SMS Opt-In in Student Database (simple trigger; script writes don't fire it)
+function onEdit(e) {
+  try {
+    recordManualConsentEdit_(e);
+  } catch (err) {
+    Logger.log('CONSENT onEdit FAIL: ' + err);
+  }
+}
+
+function recordManualConsentEdit_(e) {
+  if (!e || !e.range) return;
+  const sh = e.range.getSheet();
+  if (sh.getName() !== CONFIG.databaseSheetName) return;
+
+  const headers = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0]
+    .map(h => String(h || '').trim().toLowerCase());
+  const cOpt   = headers.indexOf('sms opt-in') + 1; // 1-based
+  const cPhone = headers.indexOf('phone #') + 1;
+  if (cOpt < 1 || cPhone < 1) return;
+
+  const r = e.range;
+  if (cOpt < r.getColumn() || cOpt > r.getLastColumn()) return;
+
+  const top = Math.max(r.getRow(), 2); // skip header row
+  const n = r.getLastRow() - top + 1;
+  if (n < 1) return;
+
+  const single = r.getNumRows() === 1 && r.getNumColumns() === 1;
+  const newVals = sh.getRange(top, cOpt, n, 1).getValues();
+  const phones  = sh.getRange(top, cPhone, n, 1).getValues();
+  const who = (e.user && e.user.getEmail && e.user.getEmail()) || Session.getActiveUser().getEmail() || 'unknown user';
+
+  for (let i = 0; i < n; i++) {
+    // e.oldValue only exists for single-cell edits
+    const oldVal = single ? (e.oldValue || '') : '(multi-cell edit)';
+    recordConsent_(phones[i][0], oldVal, newVals[i][0], CONSENT_SOURCES.MANUAL, `row ${top + i} by ${who}`);
+  }
+}
+
+// Full consent history for a number, oldest first: [{ at, oldValue, newValue, source, details }]
+function consentHistory_(phone) {
+  const want = normalizePhoneDigits_(phone);
+  const sh = SpreadsheetApp.getActive().getSheetByName(CONSENT_SHEET);
+  if (!want || !sh) return [];
+
+  return sh.getDataRange().getValues().slice(1)
+    .filter(r => normalizePhoneDigits_(r[1]) === want)
+    .map(r => ({ at: r[0], oldValue: r[2], newValue: r[3], source: r[4], details: r[5] }))
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+// Menu: prompt for a number and show its consent history
+function menuConsentHistory() {
+  requireAdmin_();
+  const ui = SpreadsheetApp.getUi();
+  const resp = ui.prompt('Consent history', 'Phone number to look up:', ui.ButtonSet.OK_CANCEL);
+  if (resp.getSelectedButton() !== ui.Button.OK) return;
+
+  const phone = resp.getResponseText();
+  const history = consentHistory_(phone);
+  const student = findStudentByPhone_(phone);
+  const tz = Session.getScriptTimeZone();
+  const esc = v => String(v === null || v === undefined ? '' : v)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  const rows = history.map(h => '<tr>' + [
+    h.at instanceof Date ? Utilities.formatDate(h.at, tz, 'M/d/yyyy h:mm a') : h.at,
+    h.oldValue, h.newValue, h.source, h.details
+  ].map(v => `<td>${esc(v)}</td>`).join('') + '</tr>').join('');
+
+  const current = student
+    ? `${esc(student.obj['Student Name'] || '')} — current SMS Opt-In: <b>${esc(student.obj['SMS Opt-In'] || '(blank)')}</b>`
+    : 'No Student Database row for this number.';
+
+  const html = HtmlService.createHtmlOutput(
+    '<style>body{font-family:sans-serif;font-size:13px}table{border-collapse:collapse;width:100%}' +
+    'td,th{border:1px solid #ccc;padding:4px;text-align:left;vertical-align:top}</style>' +
+    `<p>${current}</p>` +
+    (rows
+      ? '<table><tr><th>When</th><th>Old</th><th>New</th><th>Source</th><th>Details</th></tr>' + rows + '</table>'
+      : '<p>No consent records for this number.</p>')
+  ).setWidth(700).setHeight(450);
+  ui.showModalDialog(html, 'Consent history: ' + normalizePhoneDigits_(phone));
+}
@@ -0,0 +1,189 @@
+/***** Event automation (time-driven) *****/
+// runEventAutomation scans the Event Log on a trigger and sends the "reminder" template
+// ahead of each upcoming event and the "thankyou" template to attendees after it ends.
+// Every automated send is recorded in the Event Automation Log (one row per event + action)
+// so nothing is sent twice. Sends are queued as campaigns (smsCampaigns.js, Request ID
+// "auto:<event>::<action>"); Sent is filled in on a later run once the campaign is done.
+//
+// Script Properties:
+//   AUTO_REMINDER_OFFSETS_HOURS   comma-separated hours before the event (default "24,1")
+//   AUTO_REMINDER_AUDIENCE        resolveAudience_ key for reminders (default "alloptedin")
+//   EVENT_DURATION_HOURS          assumed event length; the Event Log only has a start (default 2)
+//   AUTO_THANKYOU_DELAY_HOURS     hours after the event ends to thank attendees (default 1)
+//   AUTO_THANKYOU_MAX_AGE_HOURS   don't thank for events that ended longer ago than this (default 48)
+//   AUTO_MISSED_YOU               "true" to also send "missedyou" to people reminded who didn't check in
+// Event Log: set the optional "SMS Automation" column to Off for an event to suppress automation.
+
+const AUTOMATION_LOG_SHEET = 'Event Automation Log';
+const AUTOMATION_LOG_HEADERS = ['Event ID', 'Action', 'Ran At', 'Sent', 'Note'];
+const AUTOMATION_TRIGGER_FN = 'runEventAutomation';
+const AUTOMATION_TRIGGER_MINUTES = 15;
+const AUTOMATION_TEMPLATE_KEYS = ['reminder', 'thankyou', 'missedyou']; // checked for compliance on save
+
+function reminderOffsetsHours_() {
+  return String(getProp_('AUTO_REMINDER_OFFSETS_HOURS', '24,1'))
+    .split(',').map(Number).filter(h => isFinite(h) && h > 0)
+    .sort((a, b) => b - a);
+}
+
+function isAutomationOff_(ev) {
+  return ['off', 'no', 'skip', 'false'].includes(String(ev.automation || '').toLowerCase());
+}
+
+function automationLogSheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(AUTOMATION_LOG_SHEET);
+  if (!sh) {
+    sh = ss.insertSheet(AUTOMATION_LOG_SHEET);
+    sh.appendRow(AUTOMATION_LOG_HEADERS);
+    sh.setFrozenRows(1);
+  }
+  return sh;
+}
+
+// Set of "eventId::action" already handled. Blocked sends are not: they are tried again.
+function automationDone_(sh) {
+  const done = new Set();
+  sh.getDataRange().getValues().slice(1).forEach(r => {
+    if (/^blocked/.test(String(r[4]))) return;
+    done.add(String(r[0]).trim() + '::' + String(r[1]).trim());
+  });
+  return done;
+}
+
+function logAutomation_(sh, eventId, action, sent, note) {
+  sh.appendRow([eventId, action, new Date(), sent, note || '']);
+}
+
+function automationTemplate_(key) {
+  return templateBody_(key); // SMS Templates sheet (smsTemplates.js)
+}
+
+/***** Trigger entry point *****/
+// Nothing is sent while the script lock is held (doPost needs it): due sends are only queued.
+function runEventAutomation() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(1000)) return; // another automated job is running
+
+  try {
+    const sh = automationLogSheet_();
+    finishAutomatedSends_(sh);
+    const done = automationDone_(sh);
+    sendDueReminders_(sh, done);
+    sendDueThankYous_(sh, done);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// For each upcoming event, send the reminder for the closest due offset.
+// If several offsets are due at once (e.g. automation turned on late) the larger ones are skipped.
+function sendDueReminders_(sh, done) {
+  const now = Date.now();
+  const offsets = reminderOffsetsHours_();
+  const audienceKey = getProp_('AUTO_REMINDER_AUDIENCE', 'alloptedin');
+
+  upcomingEvents_().forEach(ev => {
+    if (isAutomationOff_(ev)) return;
+    const start = eventStart_(ev).getTime();
+
+    const due = offsets.filter(h => {
+      const action = `reminder-${h}h`;
+      return !done.has(ev.id + '::' + action) && now >= start - h * 3600000;
+    });
+    if (!due.length) return;
+
+    const sendOffset = due[due.length - 1]; // smallest offset
+    due.slice(0, -1).forEach(h => {
+      logAutomation_(sh, ev.id, `reminder-${h}h`, 0, `skipped: ${sendOffset}h reminder already due`);
+      done.add(ev.id + `::reminder-${h}h`);
+    });
+
+    runAutomatedSend_(sh, done, ev, `reminder-${sendOffset}h`, audienceKey, 'reminder');
+  });
+}
+
+// After each event ends (+ delay), thank the attendees once; optionally nudge the no-shows
+function sendDueThankYous_(sh, done) {
+  const now = Date.now();
+  const hours = (k, dft) => { const n = Number(getProp_(k, dft)); return isFinite(n) && n >= 0 ? n : Number(dft); };
+  const duration = hours('EVENT_DURATION_HOURS', '2');
+  const delay    = hours('AUTO_THANKYOU_DELAY_HOURS', '1');
+  const maxAge   = hours('AUTO_THANKYOU_MAX_AGE_HOURS', '48');
+  const missedYou = String(getProp_('AUTO_MISSED_YOU', 'false')).toLowerCase() === 'true';
+
+  readEventLog_().forEach(ev => {
+    const start = eventStart_(ev);
+    if (!start || isAutomationOff_(ev)) return;
+    const dueAt = start.getTime() + (duration + delay) * 3600000;
+    if (now < dueAt || now > dueAt + maxAge * 3600000) return; // not yet, or too old to bother
+
+    if (!done.has(ev.id + '::thankyou')) {
+      runAutomatedSend_(sh, done, ev, 'thankyou', 'attendees', 'thankyou');
+    }
+    if (missedYou && !done.has(ev.id + '::missedyou')) {
+      runAutomatedSend_(sh, done, ev, 'missedyou', 'missed', 'missedyou');
+    }
+  });
+}
+
+function automationRequestId_(eventId, action) {
+  return `auto:${eventId}::${action}`;
+}
+
+function runAutomatedSend_(sh, done, ev, action, audienceKey, templateKey) {
+  const body = automationTemplate_(templateKey);
+  const text = renderMessage_(body, ev.id);
+  const blocking = blockingFindings_(text); // smsCompliance.js; templates are checked on save, event fields aren't
+  if (blocking.length) return holdBlockedAutomation_(sh, ev.id, action, audienceKey, blocking, text);
+
+  // Record before queueing so a timeout can't cause a double send on the next run
+  logAutomation_(sh, ev.id, action, '', 'sending');
+  done.add(ev.id + '::' + action);
+  const row = sh.getLastRow();
+  try {
+    const c = queueCampaign_(ev.id, audienceKey, body, automationRequestId_(ev.id, action));
+    sh.getRange(row, 5).setValue(`campaign ${c.id} audience=${audienceKey}`);
+  } catch (err) {
+    sh.getRange(row, 5).setValue('failed: ' + err);
+    Logger.log(`Automated ${action} for ${ev.id} failed: ${err}`);
+  }
+}
+
+// A blocked send stays due and is tried again on every run until it passes or is no longer due.
+// The first block goes to the Compliance Log; later runs only refresh its Automation Log row.
+function holdBlockedAutomation_(sh, eventId, action, audienceKey, blocking, text) {
+  const note = 'blocked: ' + blocking.map(f => f.message).join(' ');
+  const vals = sh.getDataRange().getValues();
+  for (let i = vals.length - 1; i >= 1; i--) {
+    if (String(vals[i][0]).trim() === eventId && String(vals[i][1]).trim() === action && /^blocked/.test(String(vals[i][4]))) {
+      sh.getRange(i + 1, 3, 1, 3).setValues([[new Date(), 0, note]]);
+      return;
+    }
+  }
+  logCompliance_('automation', 'blocked', eventId + ' / ' + audienceKey, blocking, '', text);
+  logAutomation_(sh, eventId, action, 0, note);
+}
+
+// Fill in Sent for queued sends whose campaign is done: messages Twilio accepted (or dry runs)
+function finishAutomatedSends_(sh) {
+  const vals = sh.getDataRange().getValues();
+  for (let i = 1; i < vals.length; i++) {
+    const [eventId, action, , sent, note] = vals[i];
+    if (sent !== '' || !/^campaign /.test(String(note))) continue;
+    const p = campaignProgressFor_(automationRequestId_(String(eventId).trim(), String(action).trim()));
+    if (p && p.status === 'done') sh.getRange(i + 1, 4).setValue(p.sent);
+  }
+}
+
+// Menu: install the trigger once
+function enableEventAutomation() {
+  requireAdmin_();
+  const exists = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === AUTOMATION_TRIGGER_FN);
+  if (!exists) {
+    ScriptApp.newTrigger(AUTOMATION_TRIGGER_FN).timeBased().everyMinutes(AUTOMATION_TRIGGER_MINUTES).create();
+  }
+  SpreadsheetApp.getUi().alert(exists
+    ? 'Event automation is already on.'
+    : `Event automation is on. It checks the Event Log every ${AUTOMATION_TRIGGER_MINUTES} minutes.`);
+}
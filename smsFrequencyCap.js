@@ -0,0 +1,54 @@
+/***** Per-recipient frequency cap *****/
+// Limits how many texts one number gets in a rolling window, counted from the SMS Log: successful
+// marketing sends, bulk sends included. Dry runs, inbound rows and rows whose Kind is a reply, a
+// test or the opt-in welcome don't count; older rows without a Kind do.
+//
+// Script Properties:
+//   FREQ_CAP_MAX    max messages per number per window (blank or 0 = no cap)
+//   FREQ_CAP_DAYS   window length in days (default 7)
+// Admins can override the cap for urgent announcements from the confirm dialog.
+
+const SMS_KIND_COL = 'Kind'; // SMS Log: marketing | bulk | reply | test | welcome
+const SMS_CAPPED_KINDS = ['', 'marketing', 'bulk'];
+
+// Kind column as a 0-based index
+function ensureSmsLogKindCol_(sh) {
+  return ensureSmsLogCols_(sh, [SMS_KIND_COL]).indexOf(SMS_KIND_COL);
+}
+
+function frequencyCap_() {
+  const max = Number(getProp_('FREQ_CAP_MAX', '0'));
+  const days = Number(getProp_('FREQ_CAP_DAYS', '7'));
+  if (!isFinite(max) || max <= 0) return null;
+  return { max, days: isFinite(days) && days > 0 ? days : 7 };
+}
+
+// normalized phone -> messages sent inside the window (memoized for this execution)
+let recentSendCounts_ = null;
+function recentSendCountsByPhone_() {
+  if (recentSendCounts_) return recentSendCounts_;
+  recentSendCounts_ = new Map();
+  const cap = frequencyCap_();
+  const sh = SpreadsheetApp.getActive().getSheetByName('SMS Log');
+  if (!cap || !sh || sh.getLastRow() < 2) return recentSendCounts_;
+
+  const since = Date.now() - cap.days * 24 * 60 * 60 * 1000;
+  const vals = sh.getDataRange().getValues();
+  const kindCol = vals[0].map(h => String(h || '').trim()).indexOf(SMS_KIND_COL);
+  for (let r = 1; r < vals.length; r++) {
+    const [ts, to, , sid, code] = vals[r];
+    if (String(to) === 'IN' || String(sid) === 'DRYRUN') continue;
+    if (kindCol >= 0 && !SMS_CAPPED_KINDS.includes(String(vals[r][kindCol] || '').trim())) continue;
+    if (!(ts instanceof Date) || ts.getTime() < since) continue;
+    if (Number(code) >= 400 || Number(code) === 0) continue; // failed or never reached Twilio
+    const key = normalizePhoneDigits_(to);
+    if (key) recentSendCounts_.set(key, (recentSendCounts_.get(key) || 0) + 1);
+  }
+  return recentSendCounts_;
+}
+
+function isFrequencyCapped_(phone) {
+  const cap = frequencyCap_();
+  if (!cap) return false;
+  return (recentSendCountsByPhone_().get(normalizePhoneDigits_(phone)) || 0) >= cap.max;
+}
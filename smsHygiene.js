@@ -0,0 +1,127 @@
+/***** Contact hygiene from Twilio error codes *****/
+// Some Twilio errors say something lasting about the number itself. HYGIENE_RULES maps those codes
+// to an action on the matching Student Database row(s), applied the same way wherever the error
+// shows up: sendSms_, the bulk sender and delivery status callbacks. Every action is appended to
+// the "Contact Issues" sheet for review.
+//
+//   21211 invalid number          -> Phone Status = Invalid
+//   21614 not a mobile number     -> Phone Status = Not Mobile
+//   30003 / 30005 unreachable     -> Unreachable Count + 1, Phone Status = Paused after N in a row
+//   21610 opted out               -> SMS Opt-In = No
+// A delivered message resets Unreachable Count. Numbers with one of these Phone Status values are
+// left out of sends; clear the cell (and the count) to put a contact back.
+//
+// Script Properties:
+//   UNREACHABLE_PAUSE_AFTER   consecutive unreachable failures before a contact is paused (default 3)
+
+const HYGIENE_RULES = {
+  21211: { action: 'status', status: 'Invalid', issue: 'invalid number' },
+  21614: { action: 'status', status: 'Not Mobile', issue: 'not a mobile number' },
+  30003: { action: 'unreachable', issue: 'unreachable handset' },
+  30005: { action: 'unreachable', issue: 'unknown or inactive number' },
+  21610: { action: 'optout', issue: 'recipient opted out' }
+};
+const HYGIENE_SOURCES = { SEND: 'send', BULK: 'bulk send', CALLBACK: 'delivery callback' };
+const SUPPRESSED_PHONE_STATUSES = ['invalid', 'not mobile', 'paused'];
+const PHONE_STATUS_COL = 'Phone Status';
+const UNREACHABLE_COL = 'Unreachable Count';
+const CONTACT_ISSUES_SHEET = 'Contact Issues';
+const CONTACT_ISSUES_HEADERS = ['Timestamp', 'Phone', 'Student Name', 'Error Code', 'Issue', 'Action', 'Source', 'Details'];
+
+function contactIssuesSheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(CONTACT_ISSUES_SHEET);
+  if (!sh) {
+    sh = ss.insertSheet(CONTACT_ISSUES_SHEET);
+    sh.appendRow(CONTACT_ISSUES_HEADERS);
+    sh.setFrozenRows(1);
+  }
+  return sh;
+}
+
+// True when a Phone Status value keeps the number out of sends
+function isPhoneSuppressed_(status) {
+  return SUPPRESSED_PHONE_STATUSES.includes(String(status || '').trim().toLowerCase());
+}
+
+// Student Database rows for a phone: [{ rowNumber, obj }]
+function studentRowsByPhone_(db, phone) {
+  const want = normalizePhoneDigits_(phone);
+  const data = readSheetAsObjects_(db);
+  const out = [];
+  data.rows.forEach((obj, i) => {
+    if (want && normalizePhoneDigits_(obj['Phone #']) === want) out.push({ rowNumber: data.startRow + i, obj });
+  });
+  return out;
+}
+
+// 1-based column for a Student Database header, added at the end if missing
+function studentDbCol_(db, name) {
+  ensureProcessedColumn_(db, name);
+  const headers = db.getRange(1, 1, 1, db.getLastColumn()).getValues()[0].map(h => String(h).trim());
+  return headers.indexOf(name) + 1;
+}
+
+// Apply the rule for this error code, if any. Never throws: callers are send paths and webhooks.
+function applyErrorHygiene_(phone, errorCode, source, details) {
+  const code = Number(errorCode) || 0;
+  const rule = HYGIENE_RULES[code];
+  if (!rule) return;
+
+  try {
+    const db = SpreadsheetApp.getActive().getSheetByName(CONFIG.databaseSheetName);
+    if (!db || !normalizePhoneDigits_(phone)) return;
+    const matches = studentRowsByPhone_(db, phone);
+    const name = matches.length ? String(matches[0].obj['Student Name'] || '').trim() : '';
+    let action;
+
+    if (rule.action === 'optout') {
+      const stillIn = matches.filter(m => String(m.obj['SMS Opt-In'] || '').trim().toLowerCase() !== 'no');
+      if (stillIn.length) {
+        updateOptInByPhone_(phone, 'No', { updateAllMatches: true, source: CONSENT_SOURCES.TWILIO_21610, details });
+        action = 'SMS Opt-In set to No';
+      } else {
+        action = matches.length ? 'already opted out' : 'no Student Database match';
+      }
+    } else if (!matches.length) {
+      action = 'no Student Database match';
+    } else if (rule.action === 'status') {
+      const cStatus = studentDbCol_(db, PHONE_STATUS_COL);
+      matches.forEach(m => db.getRange(m.rowNumber, cStatus).setValue(rule.status));
+      action = `Phone Status set to ${rule.status}`;
+    } else {
+      const pauseAfter = Math.max(1, Number(getProp_('UNREACHABLE_PAUSE_AFTER', '3')) || 3);
+      const cStatus = studentDbCol_(db, PHONE_STATUS_COL);
+      const cCount = studentDbCol_(db, UNREACHABLE_COL);
+      let count = 0;
+      matches.forEach(m => {
+        count = (Number(m.obj[UNREACHABLE_COL]) || 0) + 1;
+        db.getRange(m.rowNumber, cCount).setValue(count);
+        if (count >= pauseAfter && !isPhoneSuppressed_(m.obj[PHONE_STATUS_COL])) {
+          db.getRange(m.rowNumber, cStatus).setValue('Paused');
+        }
+      });
+      action = `Unreachable Count ${count}` + (count >= pauseAfter ? ', Phone Status set to Paused' : '');
+    }
+
+    contactIssuesSheet_().appendRow([
+      new Date(), "'" + normalizePhoneDigits_(phone), name, code, rule.issue, action, source, String(details || '')
+    ]);
+  } catch (e) {
+    Logger.log('HYGIENE FAIL: ' + e);
+  }
+}
+
+// A delivered message ends an unreachable streak
+function resetUnreachableCount_(phone) {
+  try {
+    const db = SpreadsheetApp.getActive().getSheetByName(CONFIG.databaseSheetName);
+    if (!db) return;
+    const matches = studentRowsByPhone_(db, phone).filter(m => Number(m.obj[UNREACHABLE_COL]) > 0);
+    if (!matches.length) return;
+    const cCount = studentDbCol_(db, UNREACHABLE_COL);
+    matches.forEach(m => db.getRange(m.rowNumber, cCount).setValue(0));
+  } catch (e) {
+    Logger.log('HYGIENE RESET FAIL: ' + e);
+  }
+}
@@ -1,3 +1,6 @@
+// Carrier opt-out keywords (Twilio handles the compliance replies itself)
+const STOP_WORDS = ['STOP','STOPALL','UNSUBSCRIBE','CANCEL','END','QUIT'];
+
 function doPost(e) {
   const p = (e && e.parameter) ? e.parameter : {};
   const from = String(p.From || '');
@@ -5,26 +8,29 @@ function doPost(e) {
   const status = String(p.MessageStatus || '');
   const sid = String(p.MessageSid || '');
 
-  // Log everything we get (helps confirm Twilio is hitting us)
-  logInbound_(from, body, status, sid);
-
-  // Status callbacks (delivery events)
+  // Status callbacks (delivery events): update the original outbound row in place.
+  // Only log a new row when we can't find the message (e.g. sent from the Twilio console).
   if (status) {
-    // already logged above; nothing else needed
+    if (!handleStatusCallback_(sid, status, p.ErrorCode)) {
+      logInbound_(from, body, status, sid);
+    }
     return twiml_('');
   }
 
+  // Log every inbound message (helps confirm Twilio is hitting us), with MMS media URLs
+  logInbound_(from, body, status, sid, inboundMediaUrls_(p));
+
   // Twilio sends default replies for STOP/START/HELP on toll-free.
   // We just update the sheet and return empty.
   const upper = body.toUpperCase();
-  const STOP_WORDS = ['STOP','STOPALL','UNSUBSCRIBE','CANCEL','END','QUIT'];
 
   if (STOP_WORDS.includes(upper)) {
-    updateOptInByPhone_(from, 'No', { updateAllMatches: true });
+    updateOptInByPhone_(from, 'No', { updateAllMatches: true, source: CONSENT_SOURCES.STOP, details: body });
+    clearJoinState_(normalizePhoneDigits_(from)); // abandon any sign-up in progress
     return twiml_('');
   }
   if (upper === 'START') {
-    updateOptInByPhone_(from, 'Yes', { updateAllMatches: true });
+    updateOptInByPhone_(from, 'Yes', { updateAllMatches: true, source: CONSENT_SOURCES.START, details: body });
     return twiml_('');
   }
   if (upper === 'HELP') {
@@ -32,6 +38,29 @@ function doPost(e) {
     return twiml_('');
   }
 
+  // SMS sign-up for unknown numbers: JOIN, then name / campus email / role replies
+  const joinReply = handleJoinMessage_(from, body);
+  if (joinReply) {
+    return twiml_(joinReply);
+  }
+
+  // Attendance check-in: "CHECKIN <EventID>"
+  if (isCheckinMessage_(body)) {
+    return twiml_(handleCheckin_(from, body));
+  }
+
+  // Y/N/MAYBE reply to a recent event reminder
+  const rsvpReply = handleRsvpReply_(from, body);
+  if (rsvpReply) {
+    return twiml_(rsvpReply);
+  }
+
+  // Admin-configured keywords from the "SMS Keywords" sheet (EVENTS, DISCORD, ...)
+  const keywordReply = handleKeywordMessage_(from, body);
+  if (keywordReply) {
+    return twiml_(keywordReply);
+  }
+
   // Custom ping to verify your webhook is responding
   if (upper === 'PING') {
     return twiml_('PONG ✅');
@@ -41,7 +70,8 @@ function doPost(e) {
   return twiml_('');
 }
 
-// Update SMS Opt-In by phone. Options: updateAllMatches to handle duplicates.
+// Update SMS Opt-In by phone. Options: updateAllMatches to handle duplicates;
+// source/details are written to the consent ledger for every matched row.
 function updateOptInByPhone_(fromNumber, value, opts) {
   const ss = SpreadsheetApp.getActive();
   const db = ss.getSheetByName('Student Database');
@@ -69,6 +99,7 @@ function updateOptInByPhone_(fromNumber, value, opts) {
 
   const cPhone = findCol('phone #');
   const cOpt   = findCol('sms opt-in');
+  const cE164  = findCol(PHONE_E164_COL); // normalized copy written by syncStudentDatabase
 
   if (cPhone < 0 || cOpt < 0) {
     logInbound_('SYSTEM',
@@ -78,23 +109,26 @@ function updateOptInByPhone_(fromNumber, value, opts) {
     return false;
   }
 
-  const want = normalizePhoneDigits_(fromNumber); // e.g. 8162379012
+  const want = toE164_(fromNumber); // e.g. +18162379012 or +447700900123
   if (!want) {
     logInbound_('SYSTEM', `Invalid inbound From: ${fromNumber}`, '', '');
     return false;
   }
+  const source = (opts && opts.source) || '';
+  const details = (opts && opts.details) || '';
 
   let changed = false;
   const updateAll = !!(opts && opts.updateAllMatches);
   let matches = 0;
 
   for (let r = 1; r < vals.length; r++) {
-    const have = normalizePhoneDigits_(vals[r][cPhone]);
+    const have = toE164_((cE164 >= 0 && vals[r][cE164]) || vals[r][cPhone]);
     if (have && have === want) {
       matches++;
       try {
         db.getRange(r + 1, cOpt + 1).setValue(value);
         changed = true;
+        if (source) recordConsent_(want, vals[r][cOpt], value, source, details);
       } catch (err) {
         // Protection or write error: log it so you know
         logInbound_('SYSTEM',
@@ -108,6 +142,8 @@ function updateOptInByPhone_(fromNumber, value, opts) {
 
   if (!matches) {
     logInbound_('SYSTEM', `STOP/START: no row matched phone=${want}`, '', '');
+    // Still a consent event for compliance, even without a database row
+    if (source) recordConsent_(want, '', value, source, `${details} (no Student Database match)`);
   } else if (changed) {
     logInbound_('SYSTEM', `STOP/START: updated ${updateAll ? matches : 1} row(s) for phone=${want} -> ${value}`, '', '');
   }
@@ -115,11 +151,29 @@ function updateOptInByPhone_(fromNumber, value, opts) {
   return changed;
 }
 
+// Student Database record for an inbound number: { rowNumber, obj } or null
+function findStudentByPhone_(fromNumber) {
+  const want = normalizePhoneDigits_(fromNumber);
+  if (!want) return null;
+  const db = SpreadsheetApp.getActive().getSheetByName(CONFIG.databaseSheetName);
+  if (!db) return null;
+
+  const data = readSheetAsObjects_(db);
+  for (let i = 0; i < data.rows.length; i++) {
+    if (normalizePhoneDigits_(data.rows[i]['Phone #']) === want) {
+      return { rowNumber: data.startRow + i, obj: data.rows[i] };
+    }
+  }
+  return null;
+}
 
+// Comparison key for a phone number: default-region numbers as national digits (US: the 10 digits
+// older sheets store), everything else as full international digits. Raw digits if it doesn't parse.
 function normalizePhoneDigits_(v) {
-  let d = String(v || '').replace(/[^\d]/g, '');
-  if (d.length === 11 && d.startsWith('1')) d = d.slice(1); // drop leading US 1
-  return d;
+  const e164 = toE164_(v);
+  if (!e164) return String(v || '').replace(/[^\d]/g, '');
+  const cc = phoneRegionRules_().cc;
+  return e164.startsWith('+' + cc) ? e164.slice(cc.length + 1) : e164.slice(1);
 }
 
 function twiml_(message) {
@@ -138,11 +192,14 @@ function escapeXml_(s) {
 }
 
 // Simple inbound log (confirms webhook activity)
-function logInbound_(from, body, status, sid) {
+// mediaUrls: inbound MMS attachments, written to the Media URL column (smsMedia.js)
+function logInbound_(from, body, status, sid, mediaUrls) {
   const ss = SpreadsheetApp.getActive();
   const sh = ss.getSheetByName('SMS Log') || ss.insertSheet('SMS Log');
   if (sh.getLastRow() === 0) {
     sh.appendRow(['Timestamp','Direction','From','Body','Status','MessageSid']);
   }
-  sh.appendRow([new Date(), 'IN', from, body, status, sid]);
+  const row = [new Date(), 'IN', from, body, status, sid];
+  if (mediaUrls && mediaUrls.length) row[ensureSmsLogMediaCols_(sh).media] = mediaUrls.join(' ');
+  sh.appendRow(Array.from(row, v => (v === undefined ? '' : v)));
 }
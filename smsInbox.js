@@ -0,0 +1,178 @@
+/***** Two-way inbox: conversations grouped by phone number *****/
+// Built on the fly from the SMS Log (outbound rows from logSms_, inbound rows from logInbound_),
+// joined to Student Database names. Read state lives in the "Inbox State" sheet.
+
+const INBOX_STATE_SHEET = 'Inbox State';
+
+// SMS Log rows -> [{ direction: 'in'|'out', phone, body, at: Date, status }]
+// Rows are parsed by position because the header row depends on which logger created the sheet.
+function readSmsLogMessages_() {
+  const sh = SpreadsheetApp.getActive().getSheetByName('SMS Log');
+  if (!sh || sh.getLastRow() < 2) return [];
+
+  const vals = sh.getDataRange().getValues();
+  const hdrs = vals[0].map(h => String(h || '').trim());
+  const cDeliv = hdrs.indexOf('Delivery Status');
+
+  const out = [];
+  for (let r = 1; r < vals.length; r++) {
+    const row = vals[r];
+    const at = row[0] instanceof Date ? row[0] : new Date(row[0]);
+    if (isNaN(at.getTime())) continue;
+
+    if (String(row[1]) === 'IN') {
+      // Timestamp | IN | From | Body | Status | MessageSid
+      const from = String(row[2] || '');
+      if (from === 'SYSTEM' || row[4]) continue; // diagnostics and unmatched status callbacks
+      out.push({ direction: 'in', phone: from, body: String(row[3] || ''), at, status: 'received' });
+    } else {
+      // Timestamp | To | Body | Twilio SID | HTTP Code | Error | Delivery Status ...
+      const code = Number(row[4]) || 0;
+      let status = cDeliv >= 0 ? String(row[cDeliv] || '') : '';
+      if (!status && String(row[3]) === 'DRYRUN') status = 'dry run';
+      if (!status && code >= 400) status = 'failed';
+      out.push({ direction: 'out', phone: String(row[1] || ''), body: String(row[2] || ''), at, status });
+    }
+  }
+  return out;
+}
+
+// normalized phone -> Student Name
+function studentNamesByPhone_() {
+  const db = SpreadsheetApp.getActive().getSheetByName('Student Database');
+  const names = new Map();
+  if (!db) return names;
+
+  const vals = db.getDataRange().getValues();
+  if (vals.length < 2) return names;
+  const hdrs = vals[0].map(String);
+  const cPhone = hdrs.indexOf('Phone #');
+  const cName  = hdrs.indexOf('Student Name');
+  if (cPhone < 0) return names;
+
+  for (let i = 1; i < vals.length; i++) {
+    const key = normalizePhoneDigits_(vals[i][cPhone]);
+    if (key && !names.has(key)) names.set(key, cName >= 0 ? String(vals[i][cName] || '').trim() : '');
+  }
+  return names;
+}
+
+// Inbox State: Phone | Last Read At | Read By
+function inboxStateSheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(INBOX_STATE_SHEET);
+  if (!sh) {
+    sh = ss.insertSheet(INBOX_STATE_SHEET);
+    sh.appendRow(['Phone', 'Last Read At', 'Read By']);
+  }
+  return sh;
+}
+
+// normalized phone -> { row, at (ms) }
+function inboxReadState_(sh) {
+  const map = new Map();
+  const vals = sh.getDataRange().getValues();
+  for (let i = 1; i < vals.length; i++) {
+    const key = normalizePhoneDigits_(vals[i][0]);
+    const at = vals[i][1] instanceof Date ? vals[i][1].getTime() : 0;
+    if (key) map.set(key, { row: i + 1, at });
+  }
+  return map;
+}
+
+function markConversationRead_(phoneKey) {
+  const sh = inboxStateSheet_();
+  const existing = inboxReadState_(sh).get(phoneKey);
+  const me = Session.getActiveUser().getEmail() || '';
+  if (existing) {
+    sh.getRange(existing.row, 2, 1, 2).setValues([[new Date(), me]]);
+  } else {
+    sh.appendRow(["'" + phoneKey, new Date(), me]); // keep digits as text
+  }
+}
+
+// Group messages into conversations. Only numbers that have texted us show up in the inbox.
+// phone is the normalized key; e164 is the number as Twilio gave it, since an international key
+// has no "+" and toE164_ can't tell it from a mistyped national number.
+function buildConversations_() {
+  const names = studentNamesByPhone_();
+  const readState = inboxReadState_(inboxStateSheet_());
+  const convos = new Map();
+
+  readSmsLogMessages_().forEach(m => {
+    const key = normalizePhoneDigits_(m.phone);
+    if (!key) return;
+    let c = convos.get(key);
+    if (!c) {
+      c = { phone: key, e164: '', name: names.get(key) || '', messages: [], unread: 0, hasInbound: false };
+      convos.set(key, c);
+    }
+    if (!c.e164) c.e164 = toE164_(m.phone);
+    c.messages.push(m);
+    if (m.direction === 'in') {
+      c.hasInbound = true;
+      const read = readState.get(key);
+      if (!read || m.at.getTime() > read.at) c.unread++;
+    }
+  });
+
+  return [...convos.values()].filter(c => c.hasInbound);
+}
+
+/***** Sidebar RPCs *****/
+// Dates go over google.script.run as epoch ms (Date objects are not allowed).
+function uiInboxList() {
+  requireAdmin_();
+  requirePass_();
+  return buildConversations_()
+    .map(c => {
+      const last = c.messages[c.messages.length - 1];
+      return {
+        phone: c.phone,
+        name: c.name,
+        unread: c.unread,
+        lastBody: last.body,
+        lastDirection: last.direction,
+        lastAt: last.at.getTime()
+      };
+    })
+    .sort((a, b) => b.lastAt - a.lastAt);
+}
+
+function uiInboxThread(phone) {
+  requireAdmin_();
+  requirePass_();
+  const key = normalizePhoneDigits_(phone);
+  if (!key) throw new Error('Missing phone number.');
+
+  const c = buildConversations_().find(x => x.phone === key);
+  markConversationRead_(key);
+  if (!c) return { phone: key, name: studentNamesByPhone_().get(key) || '', messages: [] };
+
+  return {
+    phone: c.phone,
+    name: c.name,
+    messages: c.messages
+      .slice()
+      .sort((a, b) => a.at - b.at)
+      .map(m => ({ direction: m.direction, body: m.body, status: m.status, at: m.at.getTime() }))
+  };
+}
+
+// Replies go through sendOneWithControls_ so dry-run, rate limit and passcode gating still apply
+function uiInboxReply(phone, body) {
+  requireAdmin_();
+  requirePass_();
+  const key = normalizePhoneDigits_(phone);
+  const text = String(body || '').replace(/\r\n/g, '\n').trim();
+  if (!key) throw new Error('Missing phone number.');
+  if (!text) throw new Error('Reply is empty.');
+
+  const c = buildConversations_().find(x => x.phone === key);
+  const to = (c && c.e164) || toE164_(phone);
+  if (!to) throw new Error('No valid number for this conversation: ' + phone);
+
+  const result = sendOneWithControls_(to, text, { kind: 'reply' }); // not counted by the frequency cap
+  markConversationRead_(key);
+  return { ok: !!result.success, dryRun: !!result.dryRun, error: result.error || '' };
+}
@@ -0,0 +1,153 @@
+/***** Conversational SMS sign-up (JOIN flow) *****/
+// An unknown number texts JOIN and is walked through name -> campus email -> role.
+// State is kept per number in Script Properties (JOIN_STATE_<digits>) between webhook calls.
+//
+// Script Properties:
+//   JOIN_TIMEOUT_MIN     minutes of silence before a sign-up expires (default 30)
+//   JOIN_EMAIL_DOMAIN    required campus email domain, e.g. student.gsu.edu (optional)
+//   JOIN_ROLES           comma-separated role choices (default "Student, Alumni, Faculty, Other")
+
+const JOIN_STATE_PREFIX = 'JOIN_STATE_';
+const JOIN_KEYWORD = 'JOIN';
+
+function joinTimeoutMs_() {
+  const n = Number(getProp_('JOIN_TIMEOUT_MIN', '30'));
+  return (isFinite(n) && n > 0 ? n : 30) * 60 * 1000;
+}
+
+function joinRoles_() {
+  return String(getProp_('JOIN_ROLES', 'Student, Alumni, Faculty, Other'))
+    .split(',').map(r => r.trim()).filter(Boolean);
+}
+
+function getJoinState_(phone) {
+  const raw = PropertiesService.getScriptProperties().getProperty(JOIN_STATE_PREFIX + phone);
+  if (!raw) return null;
+  try { return JSON.parse(raw); } catch (e) { return null; }
+}
+function saveJoinState_(phone, state) {
+  state.updatedAt = Date.now();
+  PropertiesService.getScriptProperties().setProperty(JOIN_STATE_PREFIX + phone, JSON.stringify(state));
+}
+function clearJoinState_(phone) {
+  PropertiesService.getScriptProperties().deleteProperty(JOIN_STATE_PREFIX + phone);
+}
+
+// Returns the reply text, or '' when this message isn't part of a sign-up
+function handleJoinMessage_(from, body) {
+  const phone = normalizePhoneDigits_(from);
+  if (!phone) return '';
+  const text = String(body || '').trim();
+  const isJoin = text.toUpperCase() === JOIN_KEYWORD;
+
+  let state = getJoinState_(phone);
+  if (state && Date.now() - Number(state.updatedAt || 0) > joinTimeoutMs_()) {
+    clearJoinState_(phone);
+    state = null;
+    if (!isJoin) return 'Your sign-up timed out. Text JOIN to start over.';
+  }
+
+  // JOIN always (re)starts the flow
+  if (isJoin) {
+    if (findStudentByPhone_(from)) {
+      return "You're already signed up! If you opted out, reply START to get texts again.";
+    }
+    saveJoinState_(phone, { step: 'name' });
+    return "Welcome to Progsu! Let's get you signed up (text JOIN anytime to restart). What's your full name (first & last)?";
+  }
+  if (!state) return '';
+
+  if (state.step === 'name') {
+    const name = text.replace(/\s+/g, ' ');
+    if (!/^[A-Za-zÀ-ÿ][A-Za-zÀ-ÿ.'\- ]{1,59}$/.test(name) || name.split(' ').length < 2) {
+      return 'Please send your first and last name (letters only), e.g. Jordan Smith.';
+    }
+    state.name = name;
+    state.step = 'email';
+    saveJoinState_(phone, state);
+    const domain = getProp_('JOIN_EMAIL_DOMAIN', '');
+    return `Thanks, ${name.split(' ')[0]}! What's your campus email${domain ? ' (@' + domain + ')' : ''}?`;
+  }
+
+  if (state.step === 'email') {
+    const email = text.toLowerCase();
+    const err = joinEmailError_(email, phone);
+    if (err) return err;
+    state.email = email;
+    state.step = 'role';
+    saveJoinState_(phone, state);
+    return 'Last one: what best describes you? Reply with a number: ' +
+      joinRoles_().map((r, i) => `${i + 1}) ${r}`).join(' ');
+  }
+
+  if (state.step === 'role') {
+    const roles = joinRoles_();
+    const n = Number(text);
+    const role = (Number.isInteger(n) && n >= 1 && n <= roles.length)
+      ? roles[n - 1]
+      : roles.find(r => r.toLowerCase() === text.toLowerCase());
+    if (!role) {
+      return 'Please reply with one of: ' + roles.map((r, i) => `${i + 1}) ${r}`).join(' ');
+    }
+    state.role = role;
+    return completeJoin_(from, phone, state);
+  }
+
+  // Unknown step (e.g. state from an older version): start over
+  clearJoinState_(phone);
+  return 'Something went wrong with your sign-up. Text JOIN to start over.';
+}
+
+// Returns an error reply for an unusable campus email, '' if it's fine
+function joinEmailError_(email, phone) {
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return "That doesn't look like an email address. Please send your campus email.";
+  }
+  const domain = String(getProp_('JOIN_EMAIL_DOMAIN', '')).trim().toLowerCase().replace(/^@/, '');
+  if (domain && !email.endsWith('@' + domain)) {
+    return `Please use your campus email ending in @${domain}.`;
+  }
+
+  // Don't let a text re-point someone else's record to this phone
+  const db = SpreadsheetApp.getActive().getSheetByName(CONFIG.databaseSheetName);
+  if (db) {
+    const rows = readSheetAsObjects_(db).rows;
+    const owner = rows.find(r => String(r['Campus Email'] || '').trim().toLowerCase() === email);
+    const ownerPhone = owner ? normalizePhoneDigits_(owner['Phone #']) : '';
+    if (ownerPhone && ownerPhone !== phone) {
+      return 'That email is already registered with a different number. Please contact an officer to update it.';
+    }
+  }
+  return '';
+}
+
+// Final insert through the same merge/append path as the Form sync, opted in with a consent record
+function completeJoin_(from, phone, state) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    saveJoinState_(phone, state);
+    return 'We are busy right now. Please send your answer again in a moment.';
+  }
+  try {
+    const incoming = {};
+    Object.keys(CONFIG.fieldAliases).forEach(k => incoming[k] = '');
+    incoming['Student Name'] = state.name;
+    incoming['Campus Email'] = normalizeFieldValue_('Campus Email', state.email);
+    incoming['Role']         = state.role;
+    incoming['Phone #']      = normalizeFieldValue_('Phone #', phone);
+    incoming['SMS Opt-In']   = 'Yes';
+
+    const saved = upsertStudentRecord_(incoming);
+    const prevOpt = saved.previous ? saved.previous['SMS Opt-In'] : '';
+    recordConsent_(phone, prevOpt, 'Yes', CONSENT_SOURCES.JOIN,
+      `${state.name} <${state.email}> role=${state.role}`);
+    clearJoinState_(phone);
+  } catch (err) {
+    logInbound_('SYSTEM', `JOIN FAIL for ${from}: ${err}`, '', '');
+    return 'Sorry, we could not finish your sign-up. Please try again later or use the interest form.';
+  } finally {
+    lock.releaseLock();
+  }
+
+  return `You're in, ${state.name.split(' ')[0]}! You'll get Progsu event updates by text.` + smsFooter_();
+}
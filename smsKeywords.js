@@ -0,0 +1,144 @@
+/***** Keyword auto-responder (driven by the "SMS Keywords" sheet) *****/
+// One row per keyword:
+//   Keyword | Match | Synonyms | Reply | Enabled | Hits | Last Hit
+// Match is "exact" (default) or "prefix" (keyword followed by anything, e.g. "EVENTS NEXT WEEK").
+// Synonyms are comma separated. Reply supports placeholders:
+//   {nextEvent} {nextEventTitle} {nextEventDate} {nextEventLocation} {events} {firstName} {args} {footer}
+// Carrier-compliance and built-in keywords are reserved and can't be overridden here.
+
+const KEYWORDS_SHEET = 'SMS Keywords';
+const KEYWORDS_HEADERS = ['Keyword', 'Match', 'Synonyms', 'Reply', 'Enabled', 'Hits', 'Last Hit'];
+
+// A function rather than a const: Apps Script doesn't guarantee file load order
+function reservedKeywords_() {
+  return STOP_WORDS.concat(['START', 'UNSTOP', 'YES', 'HELP', 'INFO', 'PING', JOIN_KEYWORD, 'CHECKIN']);
+}
+
+function normalizeKeyword_(s) {
+  return String(s || '').trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+// Enabled rules: [{ row, keyword, words: [...], match, reply }]
+function keywordRules_() {
+  const sh = SpreadsheetApp.getActive().getSheetByName(KEYWORDS_SHEET);
+  if (!sh || sh.getLastRow() < 2) return [];
+
+  const vals = sh.getDataRange().getValues();
+  const hdrs = vals[0].map(h => String(h || '').trim().toLowerCase());
+  const c = name => hdrs.indexOf(name.toLowerCase());
+  const cKw = c('Keyword'), cMatch = c('Match'), cSyn = c('Synonyms'), cReply = c('Reply'), cOn = c('Enabled');
+  if (cKw < 0 || cReply < 0) return [];
+
+  const reserved = reservedKeywords_();
+  const rules = [];
+  for (let i = 1; i < vals.length; i++) {
+    const keyword = normalizeKeyword_(vals[i][cKw]);
+    const reply = String(vals[i][cReply] || '');
+    if (!keyword || !reply) continue;
+    if (cOn >= 0 && !isOptedIn(vals[i][cOn])) continue; // yes/true/checked
+
+    const synonyms = cSyn >= 0 ? String(vals[i][cSyn] || '').split(',').map(normalizeKeyword_) : [];
+    const words = [keyword].concat(synonyms).filter(w => w && !reserved.includes(w));
+    if (!words.length) continue;
+
+    const match = cMatch >= 0 && String(vals[i][cMatch]).trim().toLowerCase() === 'prefix' ? 'prefix' : 'exact';
+    rules.push({ row: i + 1, keyword, words, match, reply });
+  }
+  return rules;
+}
+
+// Exact matches win over prefix matches; among prefixes the longest keyword wins.
+// Returns { rule, args } or null.
+function matchKeyword_(rules, body) {
+  const text = normalizeKeyword_(body);
+  if (!text) return null;
+
+  for (const rule of rules) {
+    if (rule.words.includes(text)) return { rule, args: '' };
+  }
+
+  let best = null;
+  rules.filter(r => r.match === 'prefix').forEach(rule => {
+    rule.words.forEach(w => {
+      if (text.startsWith(w + ' ') && (!best || w.length > best.word.length)) {
+        best = { rule, word: w, args: String(body).trim().slice(w.length).trim() };
+      }
+    });
+  });
+  return best ? { rule: best.rule, args: best.args } : null;
+}
+
+// Returns the reply text, or '' if no enabled keyword matches
+function handleKeywordMessage_(from, body) {
+  const hit = matchKeyword_(keywordRules_(), body);
+  if (!hit) return '';
+
+  countKeywordHit_(hit.rule.row);
+  return renderKeywordReply_(hit.rule.reply, from, hit.args);
+}
+
+function renderKeywordReply_(template, from, args) {
+  const upcoming = upcomingEvents_();
+  const next = upcoming[0];
+  const describe = ev => {
+    const date = formatEventDate_(eventStart_(ev));
+    return `${ev.title || ev.id}${date ? ' — ' + date : ''}${ev.location ? ' @ ' + ev.location : ''}`;
+  };
+
+  const student = /\{firstName\}/.test(template) ? findStudentByPhone_(from) : null;
+  const fullName = student ? String(student.obj['Student Name'] || '').trim() : '';
+
+  const ctx = {
+    nextEvent:         next ? describe(next) : 'nothing scheduled yet',
+    nextEventTitle:    next ? String(next.title || next.id) : '',
+    nextEventDate:     next ? formatEventDate_(eventStart_(next)) : '',
+    nextEventLocation: next ? String(next.location || '') : '',
+    events:            upcoming.length ? upcoming.slice(0, 3).map(ev => '• ' + describe(ev)).join('\n') : 'No upcoming events yet.',
+    firstName:         fullName ? fullName.split(/\s+/)[0] : '',
+    args:              args || '',
+    footer:            smsFooter_()
+  };
+
+  return String(template)
+    .replace(/\{(\w+)\}/g, (m, key) => (key in ctx ? ctx[key] : ''))
+    .replace(/[^\S\n]+/g, ' ')
+    .trim();
+}
+
+function countKeywordHit_(row) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) return; // counters are best-effort
+  try {
+    const sh = SpreadsheetApp.getActive().getSheetByName(KEYWORDS_SHEET);
+    const hdrs = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0].map(h => String(h || '').trim());
+    const cHits = hdrs.indexOf('Hits');
+    const cLast = hdrs.indexOf('Last Hit');
+    if (cHits >= 0) {
+      const cell = sh.getRange(row, cHits + 1);
+      cell.setValue((Number(cell.getValue()) || 0) + 1);
+    }
+    if (cLast >= 0) sh.getRange(row, cLast + 1).setValue(new Date());
+  } catch (e) {
+    Logger.log('KEYWORD HIT COUNT FAIL: ' + e);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// Menu: create the SMS Keywords sheet with a few examples (disabled until you edit them)
+function setupKeywordsSheet() {
+  requireAdmin_();
+  const ss = SpreadsheetApp.getActive();
+  if (ss.getSheetByName(KEYWORDS_SHEET)) {
+    return SpreadsheetApp.getUi().alert(`"${KEYWORDS_SHEET}" already exists.`);
+  }
+  const sh = ss.insertSheet(KEYWORDS_SHEET);
+  sh.getRange(1, 1, 4, KEYWORDS_HEADERS.length).setValues([
+    KEYWORDS_HEADERS,
+    ['EVENTS', 'exact', 'EVENT, UPCOMING', 'Upcoming Progsu events:\n{events}', 'No', 0, ''],
+    ['NEXT', 'exact', '', 'Next up: {nextEvent}. See you there!', 'No', 0, ''],
+    ['DISCORD', 'exact', 'DC', 'Join us on Discord: <invite link>', 'No', 0, '']
+  ]);
+  sh.setFrozenRows(1);
+  SpreadsheetApp.getUi().alert(`Created "${KEYWORDS_SHEET}". Edit the replies and set Enabled to Yes.`);
+}
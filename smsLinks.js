@@ -0,0 +1,179 @@
+/***** Short links and click tracking *****/
+// Links in campaigns (composer, scheduled, automated and event menu sends) are rewritten per recipient to <web app URL>?l=<link>.<recipient>.
+// doGet logs the click to "Link Clicks" with the campaign and student, then sends the browser on
+// to the original URL. Each distinct URL in a campaign gets one row in "Short Links"; the part
+// after the dot is the recipient's row in "Campaign Recipients", so no per-recipient rows are
+// written at send time.
+//
+// The web app must be deployed as "Execute as: Me" with access "Anyone" (as for status callbacks).
+// The /exec URL is long; point LINK_BASE_URL at a short domain that forwards to it to save characters.
+// Not tracked: sendBulkSMS rows, inbox replies and test sends.
+//
+// Script Properties:
+//   LINK_TRACKING   false = leave links as written (default true)
+//   LINK_BASE_URL   base of tracked links (default: TWILIO_STATUS_CALLBACK_URL or this web app's URL)
+
+const SHORT_LINKS_SHEET = 'Short Links';
+const SHORT_LINKS_HEADERS = ['Link ID', 'Campaign ID', 'URL', 'Created At'];
+const LINK_CLICKS_SHEET = 'Link Clicks';
+const LINK_CLICKS_HEADERS = ['Timestamp', 'Campaign ID', 'URL', 'Phone', 'Student Name', 'Token'];
+
+function linkBaseUrl_() {
+  return getProp_('LINK_BASE_URL', '') || statusCallbackUrl_();
+}
+
+function linkTrackingEnabled_() {
+  return String(getProp_('LINK_TRACKING', 'true')).toLowerCase() !== 'false' && !!linkBaseUrl_();
+}
+
+// Distinct http(s) URLs in a message, longest first so a URL never clobbers one it prefixes
+function findLinks_(text) {
+  const base = linkBaseUrl_();
+  const urls = (String(text || '').match(/\bhttps?:\/\/[^\s<>"']+/gi) || [])
+    .map(u => u.replace(/[.,;:!?)\]]+$/, ''))
+    .filter(u => !base || u.indexOf(base) !== 0);
+  return Array.from(new Set(urls)).sort((a, b) => b.length - a.length);
+}
+
+function trackedUrl_(linkId, recipientRow) {
+  return `${linkBaseUrl_()}?l=${linkId}.${Number(recipientRow).toString(36)}`;
+}
+
+// Called once per campaign by createCampaign_. Returns [{ id, url }].
+function createCampaignLinks_(campaignId, message) {
+  if (!linkTrackingEnabled_()) return [];
+  const links = findLinks_(message).map(url => ({ id: Utilities.getUuid().replace(/-/g, '').slice(0, 8), url }));
+  if (links.length) {
+    const sh = campaignSheet_(SHORT_LINKS_SHEET, SHORT_LINKS_HEADERS);
+    const rows = links.map(l => [l.id, campaignId, l.url, new Date()]);
+    sh.getRange(sh.getLastRow() + 1, 1, rows.length, SHORT_LINKS_HEADERS.length).setValues(rows);
+  }
+  return links;
+}
+
+// [{ id, url }] for one campaign, longest URL first
+function campaignLinks_(campaignId) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHORT_LINKS_SHEET);
+  if (!sh) return [];
+  return sh.getDataRange().getValues().slice(1)
+    .filter(v => String(v[1]) === campaignId && v[0] && v[2])
+    .map(v => ({ id: String(v[0]), url: String(v[2]) }))
+    .sort((a, b) => b.url.length - a.url.length);
+}
+
+// Swap each campaign link in msg for this recipient's tracked URL
+function trackLinks_(msg, links, recipientRow) {
+  return links.reduce((s, l) => s.split(l.url).join(trackedUrl_(l.id, recipientRow)), msg);
+}
+
+/***** Web app: redirect and log *****/
+function doGet(e) {
+  const token = String((e && e.parameter && e.parameter.l) || '');
+  const hit = token ? resolveLinkToken_(token) : null;
+  if (!hit) return HtmlService.createHtmlOutput('<p>This link is not valid.</p>');
+
+  try {
+    campaignSheet_(LINK_CLICKS_SHEET, LINK_CLICKS_HEADERS)
+      .appendRow([new Date(), hit.campaignId, hit.url, hit.phone ? "'" + hit.phone : '', hit.name, token]);
+  } catch (err) {
+    Logger.log('LINK CLICK LOG FAIL: ' + err); // never keep someone from their link
+  }
+  return redirectPage_(hit.url);
+}
+
+// { url, campaignId, phone, name } for "<linkId>.<recipient row in base 36>", or null
+function resolveLinkToken_(token) {
+  const m = /^([0-9a-f]{8})\.([0-9a-z]+)$/.exec(token);
+  if (!m) return null;
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHORT_LINKS_SHEET);
+  if (!sh) return null;
+  const link = sh.getDataRange().getValues().find(v => String(v[0]) === m[1]);
+  if (!link) return null;
+
+  const hit = { url: String(link[2]), campaignId: String(link[1]), phone: '', name: '' };
+  const row = parseInt(m[2], 36);
+  const rsh = SpreadsheetApp.getActive().getSheetByName(RECIPIENT_SHEET);
+  if (rsh && row >= 2 && row <= rsh.getLastRow()) {
+    const v = rsh.getRange(row, 1, 1, RECIPIENT_HEADERS.length).getValues()[0];
+    if (String(v[RECIPIENT_COL['Campaign ID']]) === hit.campaignId) {
+      hit.phone = String(v[RECIPIENT_COL['Phone']] || '');
+      hit.name = String(v[RECIPIENT_COL['Student Name']] || '');
+    }
+  }
+  return hit;
+}
+
+// Apps Script can't send a 302; the page is served in a sandboxed iframe, so navigate the top window
+function redirectPage_(url) {
+  const attr = url.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  const js = JSON.stringify(url).replace(/</g, '\\u003c');
+  return HtmlService.createHtmlOutput(
+    `<base target="_top"><script>window.top.location.href = ${js};</script>` +
+    `<p style="font-family:sans-serif">Opening link… <a href="${attr}">Continue</a></p>`
+  ).setTitle('Redirecting');
+}
+
+/***** Click-through summary *****/
+// [{ campaignId, createdAt, message, sent, clicks, clickers }] for campaigns with tracked links
+function linkClickSummary_() {
+  const ss = SpreadsheetApp.getActive();
+  const linkSh = ss.getSheetByName(SHORT_LINKS_SHEET);
+  if (!linkSh) return [];
+  const tracked = new Set(linkSh.getDataRange().getValues().slice(1).map(v => String(v[1])));
+
+  const clicks = {};
+  const clickSh = ss.getSheetByName(LINK_CLICKS_SHEET);
+  if (clickSh) {
+    clickSh.getDataRange().getValues().slice(1).forEach(v => {
+      const id = String(v[1]);
+      const c = clicks[id] || (clicks[id] = { clicks: 0, who: new Set() });
+      c.clicks++;
+      c.who.add(String(v[3] || v[5])); // phone, or the token when the recipient row is gone
+    });
+  }
+
+  const csh = campaignSheet_(CAMPAIGN_SHEET, CAMPAIGN_HEADERS);
+  const vals = csh.getDataRange().getValues();
+  const out = [];
+  for (let i = vals.length - 1; i >= 1; i--) {
+    const id = String(vals[i][CAMPAIGN_COL['Campaign ID']] || '');
+    if (!tracked.has(id)) continue;
+    const c = clicks[id] || { clicks: 0, who: new Set() };
+    out.push({
+      campaignId: id,
+      createdAt: vals[i][CAMPAIGN_COL['Created At']],
+      message: String(vals[i][CAMPAIGN_COL['Message']] || ''),
+      sent: Number(vals[i][CAMPAIGN_COL['Sent']]) || 0,
+      clicks: c.clicks,
+      clickers: c.who.size
+    });
+  }
+  return out;
+}
+
+/***** Menu: click-through report *****/
+function menuLinkClickSummary() {
+  requireAdmin_();
+  const ui = SpreadsheetApp.getUi();
+  const tz = Session.getScriptTimeZone();
+  const esc = v => String(v === null || v === undefined ? '' : v)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  const rows = linkClickSummary_().map(s => '<tr>' + [
+    s.campaignId,
+    s.createdAt instanceof Date ? Utilities.formatDate(s.createdAt, tz, 'M/d/yyyy h:mm a') : s.createdAt,
+    s.message.length > 80 ? s.message.slice(0, 80) + '…' : s.message,
+    s.sent, s.clicks, s.clickers,
+    s.sent ? Math.round(100 * s.clickers / s.sent) + '%' : '—'
+  ].map(v => `<td>${esc(v)}</td>`).join('') + '</tr>').join('');
+
+  const html = HtmlService.createHtmlOutput(
+    '<style>body{font-family:sans-serif;font-size:13px}table{border-collapse:collapse;width:100%}' +
+    'td,th{border:1px solid #ccc;padding:4px;text-align:left;vertical-align:top}</style>' +
+    (rows
+      ? '<table><tr><th>Campaign</th><th>Sent at</th><th>Message</th><th>Sent</th><th>Clicks</th>' +
+        '<th>Unique clickers</th><th>Click-through</th></tr>' + rows + '</table>'
+      : '<p>No campaigns with tracked links yet.</p>')
+  ).setWidth(800).setHeight(450);
+  ui.showModalDialog(html, 'Link clicks by campaign');
+}
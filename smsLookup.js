@@ -0,0 +1,108 @@
+/***** Phone number Lookup pre-flight *****/
+// Twilio Lookup (line type intelligence) tells us whether a number is valid and mobile before we
+// spend sends on it. Results are cached on the Student Database row in LOOKUP_COLS and refreshed
+// once older than LOOKUP_MAX_AGE_DAYS. Numbers looked up as invalid or non-mobile are left out of
+// resolveAudience_ and the bulk sender unless LOOKUP_ALLOW_NON_MOBILE is true.
+//
+// Lookups run on insert in syncStudentDatabase (when LOOKUP_ENABLED is true) and from
+// SMS > Look up phone numbers, which works through missing and stale rows in batches.
+//
+// Script Properties:
+//   LOOKUP_ENABLED            true = look up new numbers during syncStudentDatabase (default false)
+//   LOOKUP_MAX_AGE_DAYS       re-check cached results older than this (default 180)
+//   LOOKUP_ALLOW_NON_MOBILE   true = still text landlines/VoIP/invalid numbers (default false)
+
+const LOOKUP_COLS = ['Line Type', 'Carrier', 'Phone Valid', 'Lookup At'];
+const LOOKUP_RUN_MS = 4 * 60 * 1000;
+
+function lookupEnabled_() {
+  return String(getProp_('LOOKUP_ENABLED', 'false')).toLowerCase() === 'true';
+}
+
+// True when cached Lookup data says we shouldn't text this number (called per row; setting memoized)
+let lookupAllowNonMobile_ = null;
+function isLookupExcluded_(lineType, valid) {
+  if (lookupAllowNonMobile_ === null) {
+    lookupAllowNonMobile_ = String(getProp_('LOOKUP_ALLOW_NON_MOBILE', 'false')).toLowerCase() === 'true';
+  }
+  if (lookupAllowNonMobile_) return false;
+  if (String(valid || '').trim().toLowerCase() === 'no') return true;
+  const t = String(lineType || '').trim().toLowerCase();
+  return !!t && t !== 'mobile' && t !== 'unknown';
+}
+
+// { valid, lineType, carrier } from Twilio Lookup v2, or null when the lookup itself failed
+function lookupPhone_(e164) {
+  const { sid, token } = twilioProps_();
+  if (!sid || !token || !e164) return null;
+
+  const url = 'https://lookups.twilio.com/v2/PhoneNumbers/' + encodeURIComponent(e164) +
+    '?Fields=line_type_intelligence';
+  try {
+    const resp = fetchTwilioWithRetry_(url, {
+      method: 'get',
+      headers: { Authorization: 'Basic ' + Utilities.base64Encode(sid + ':' + token) }
+    });
+    const code = resp.getResponseCode();
+    if (code === 404) return { valid: false, lineType: '', carrier: '' };
+    const json = JSON.parse(resp.getContentText() || '{}');
+    if (code !== 200) {
+      Logger.log(`Lookup failed for ${e164}: HTTP ${code} ${json.message || ''}`);
+      return null;
+    }
+    const lti = json.line_type_intelligence || {};
+    return { valid: json.valid !== false, lineType: String(lti.type || ''), carrier: String(lti.carrier_name || '') };
+  } catch (e) {
+    Logger.log(`Lookup failed for ${e164}: ${e}`);
+    return null;
+  }
+}
+
+// 1-based Student Database columns for LOOKUP_COLS, added if missing
+function lookupCols_(db) {
+  return LOOKUP_COLS.map(name => studentDbCol_(db, name));
+}
+
+// Look up one Student Database row and cache the result on it. Returns the lookup or null.
+// cols: lookupCols_(db), passed in by batch callers so headers are read once
+function lookupStudentRow_(db, rowNumber, phone, cols) {
+  const res = lookupPhone_(toE164_(phone));
+  if (!res) return null;
+  cols = cols || lookupCols_(db);
+  const values = [res.lineType, res.carrier, res.valid ? 'Yes' : 'No', new Date()];
+  cols.forEach((col, i) => db.getRange(rowNumber, col).setValue(values[i]));
+  return res;
+}
+
+function isLookupStale_(lookupAt) {
+  const days = Number(getProp_('LOOKUP_MAX_AGE_DAYS', '180')) || 180;
+  const at = lookupAt instanceof Date ? lookupAt.getTime() : new Date(lookupAt).getTime();
+  return !at || Date.now() - at > days * 24 * 60 * 60 * 1000;
+}
+
+/***** Menu: batch lookup *****/
+function runPhoneLookups() {
+  requireAdmin_();
+  requirePass_();
+  const ui = SpreadsheetApp.getUi();
+  const db = SpreadsheetApp.getActive().getSheetByName(CONFIG.databaseSheetName);
+  if (!db) return ui.alert(`Sheet "${CONFIG.databaseSheetName}" not found.`);
+
+  const cols = lookupCols_(db);
+  const data = readSheetAsObjects_(db);
+  const deadline = Date.now() + LOOKUP_RUN_MS;
+  let checked = 0, excluded = 0, failed = 0, remaining = 0;
+
+  data.rows.forEach((obj, i) => {
+    if (!obj['Phone #'] || !isLookupStale_(obj['Lookup At'])) return;
+    if (Date.now() >= deadline) { remaining++; return; }
+    const res = lookupStudentRow_(db, data.startRow + i, obj['Phone #'], cols);
+    if (!res) { failed++; return; }
+    checked++;
+    if (isLookupExcluded_(res.lineType, res.valid ? 'Yes' : 'No')) excluded++;
+  });
+
+  ui.alert(`Looked up ${checked} numbers; ${excluded} are invalid or not mobile and will be skipped.` +
+    (failed ? `\n${failed} lookups failed (see Executions log).` : '') +
+    (remaining ? `\n${remaining} numbers still to go: run it again.` : ''));
+}
@@ -0,0 +1,140 @@
+/***** MMS attachments *****/
+// The composer can attach one image: the event's flyer (optional "Flyer" column in Event Log holding
+// a Drive file link/ID or a public https URL) or any image in the MMS_FOLDER_ID Drive folder.
+// Drive images are shared as "anyone with the link can view" when sent so Twilio can fetch them, so
+// only what uiGetMediaOptions offers (the flyer, images in the folder) is ever accepted.
+// An MMS is billed as one message at MMS_PRICE_PER_MESSAGE (smsSegments.js) whatever its length;
+// SMS Log records the Media URL, Segments and Cost of every message Twilio accepts, and the media
+// URLs of inbound MMS.
+//
+// Script Properties:
+//   MMS_FOLDER_ID   Drive folder whose images the composer offers (optional)
+
+const MMS_TYPES = ['image/jpeg', 'image/png', 'image/gif']; // what carriers reliably deliver
+const MMS_MAX_BYTES = 5 * 1024 * 1024;                      // Twilio's limit for a message's media
+const MMS_FOLDER_LIMIT = 50;
+const SMS_MEDIA_COLS = ['Media URL', 'Segments', 'Cost'];
+
+// Media columns as 0-based indexes
+function ensureSmsLogMediaCols_(sh) {
+  const headers = ensureSmsLogCols_(sh, SMS_MEDIA_COLS);
+  return {
+    media:    headers.indexOf('Media URL'),
+    segments: headers.indexOf('Segments'),
+    cost:     headers.indexOf('Cost')
+  };
+}
+
+// Drive file ID from a bare ID or a Drive URL (/d/<id>/, ?id=<id>), else ''
+function driveFileId_(ref) {
+  const s = String(ref || '').trim();
+  if (/^[-\w]{25,}$/.test(s)) return s;
+  const m = /\/d\/([-\w]{25,})/.exec(s) || /[?&]id=([-\w]{25,})/.exec(s);
+  return m ? m[1] : '';
+}
+
+// Why this image can't go out as MMS, or '' when it can
+function mmsMediaError_(mimeType, bytes) {
+  if (!MMS_TYPES.includes(String(mimeType || '').toLowerCase())) {
+    return `Images must be JPEG, PNG or GIF (this one is ${mimeType || 'an unknown type'}).`;
+  }
+  if (bytes > MMS_MAX_BYTES) {
+    return `Images must be under ${MMS_MAX_BYTES / 1024 / 1024} MB (this one is ${(bytes / 1024 / 1024).toFixed(1)} MB).`;
+  }
+  return '';
+}
+
+// { ref, name, mimeType, bytes, file? } for a Drive file or https URL. Throws when it can't be used.
+function inspectMedia_(ref) {
+  const id = driveFileId_(ref);
+  let info;
+  if (id) {
+    const file = DriveApp.getFileById(id);
+    info = { ref: id, name: file.getName(), mimeType: file.getMimeType(), bytes: file.getSize(), file };
+  } else if (/^https:\/\//i.test(String(ref || ''))) {
+    const resp = UrlFetchApp.fetch(String(ref), { muteHttpExceptions: true, followRedirects: true });
+    if (resp.getResponseCode() !== 200) throw new Error(`Image URL returned HTTP ${resp.getResponseCode()}.`);
+    const blob = resp.getBlob();
+    info = { ref: String(ref), name: String(ref).split('/').pop(), mimeType: blob.getContentType(), bytes: blob.getBytes().length };
+  } else {
+    throw new Error('Attach a Drive image or an https image URL.');
+  }
+  const err = mmsMediaError_(info.mimeType, info.bytes);
+  if (err) throw new Error(err);
+  return info;
+}
+
+// Throws unless ref is the event's flyer or a file in MMS_FOLDER_ID. Any other Drive ID could be
+// any file the deploying account can open, and publishMedia_ would share it with anyone.
+function assertMediaOffered_(ref, eventId) {
+  const ev = eventId ? findEventRow_(eventId) : null;
+  if (ev && ev.flyer && String(ev.flyer).trim() === String(ref || '').trim()) return;
+  const id = driveFileId_(ref);
+  const folderId = getProp_('MMS_FOLDER_ID', '');
+  if (id && folderId) {
+    let parents = null;
+    try {
+      parents = DriveApp.getFileById(id).getParents();
+    } catch (err) {
+      // no access: same answer as any other image we don't offer
+    }
+    while (parents && parents.hasNext()) {
+      if (parents.next().getId() === folderId) return;
+    }
+  }
+  throw new Error("Attach the event's flyer or an image from the MMS folder.");
+}
+
+// Validate and make fetchable; returns the URL to pass as MediaUrl
+function publishMedia_(ref, eventId) {
+  assertMediaOffered_(ref, eventId);
+  const info = inspectMedia_(ref);
+  if (!info.file) return info.ref;
+  if (info.file.getSharingAccess() !== DriveApp.Access.ANYONE_WITH_LINK &&
+      info.file.getSharingAccess() !== DriveApp.Access.ANYONE) {
+    info.file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+  }
+  return 'https://drive.google.com/uc?export=download&id=' + info.ref;
+}
+
+// Inbound MMS: MediaUrl0..N from Twilio's webhook parameters
+function inboundMediaUrls_(p) {
+  const n = Number(p.NumMedia) || 0;
+  const urls = [];
+  for (let i = 0; i < n; i++) if (p['MediaUrl' + i]) urls.push(String(p['MediaUrl' + i]));
+  return urls;
+}
+
+/***** Sidebar RPCs *****/
+// Images the composer can attach: { flyer: { ref, name } | null, files: [{ ref, name }] }
+function uiGetMediaOptions(eventId) {
+  requireAdmin_();
+  requirePass_();
+  const ev = eventId ? findEventRow_(eventId) : null;
+  const flyer = ev && ev.flyer ? { ref: ev.flyer, name: 'Event flyer' } : null;
+
+  const files = [];
+  const folderId = getProp_('MMS_FOLDER_ID', '');
+  if (folderId) {
+    const it = DriveApp.getFolderById(folderId).getFiles();
+    while (it.hasNext() && files.length < MMS_FOLDER_LIMIT) {
+      const f = it.next();
+      if (MMS_TYPES.includes(f.getMimeType())) files.push({ ref: f.getId(), name: f.getName() });
+    }
+    files.sort((a, b) => a.name.localeCompare(b.name));
+  }
+  return { flyer, files };
+}
+
+// Validation for the picked image: { ok, name, bytes, mimeType, error }
+function uiCheckMedia(ref, eventId) {
+  requireAdmin_();
+  requirePass_();
+  try {
+    assertMediaOffered_(ref, eventId);
+    const info = inspectMedia_(ref);
+    return { ok: true, name: info.name, bytes: info.bytes, mimeType: info.mimeType, error: '' };
+  } catch (err) {
+    return { ok: false, error: String(err && err.message || err) };
+  }
+}
@@ -0,0 +1,152 @@
+/***** Phone number parsing (E.164) *****/
+// toE164_ and normalizePhoneDigits_ are built on parsePhone_. Numbers written without a country
+// code are read in the default region; "+44 ...", "0044 ..." (and "011 44 ..." in North America)
+// are international. Nothing else is: a mistyped national number can look like a valid foreign one
+// (404555123 would be +40 Romania). Sheets turns "+44 7700 900123" into the number 447700900123,
+// so format the Phone # column as plain text to keep the plus sign.
+//
+// Script Properties:
+//   DEFAULT_PHONE_REGION   region for numbers without a country code, a key of PHONE_REGIONS (default US)
+
+// Dialing rules per region: calling code, national trunk prefix, national number lengths
+const PHONE_REGIONS = {
+  US: { cc: '1',   trunk: '1', lengths: [10] },
+  CA: { cc: '1',   trunk: '1', lengths: [10] },
+  MX: { cc: '52',  trunk: '',  lengths: [10] },
+  GB: { cc: '44',  trunk: '0', lengths: [9, 10] },
+  FR: { cc: '33',  trunk: '0', lengths: [9] },
+  DE: { cc: '49',  trunk: '0', lengths: [6, 7, 8, 9, 10, 11] },
+  IN: { cc: '91',  trunk: '0', lengths: [10] },
+  CN: { cc: '86',  trunk: '0', lengths: [10, 11] },
+  JP: { cc: '81',  trunk: '0', lengths: [9, 10] },
+  KR: { cc: '82',  trunk: '0', lengths: [9, 10] },
+  PH: { cc: '63',  trunk: '0', lengths: [10] },
+  VN: { cc: '84',  trunk: '0', lengths: [9, 10] },
+  PK: { cc: '92',  trunk: '0', lengths: [10] },
+  BR: { cc: '55',  trunk: '0', lengths: [10, 11] },
+  AU: { cc: '61',  trunk: '0', lengths: [9] },
+  NG: { cc: '234', trunk: '0', lengths: [8, 10] }
+};
+
+// Assigned country calling codes (ITU E.164). They are prefix-free, so the first match wins.
+const PHONE_CALLING_CODES = (
+  '1 7 20 27 30 31 32 33 34 36 39 40 41 43 44 45 46 47 48 49 51 52 53 54 55 56 57 58 ' +
+  '60 61 62 63 64 65 66 81 82 84 86 90 91 92 93 94 95 98 ' +
+  '211 212 213 216 218 220 221 222 223 224 225 226 227 228 229 230 231 232 233 234 235 236 237 ' +
+  '238 239 240 241 242 243 244 245 246 247 248 249 250 251 252 253 254 255 256 257 258 260 261 ' +
+  '262 263 264 265 266 267 268 269 290 291 297 298 299 350 351 352 353 354 355 356 357 358 359 ' +
+  '370 371 372 373 374 375 376 377 378 379 380 381 382 383 385 386 387 389 420 421 423 ' +
+  '500 501 502 503 504 505 506 507 508 509 590 591 592 593 594 595 596 597 598 599 ' +
+  '670 672 673 674 675 676 677 678 679 680 681 682 683 685 686 687 688 689 690 691 692 ' +
+  '850 852 853 855 856 880 886 960 961 962 963 964 965 966 967 968 970 971 972 973 974 975 976 ' +
+  '977 992 993 994 995 996 998'
+).split(' ');
+
+const PHONE_E164_COL = 'Phone E.164'; // normalized copy of Phone # kept by syncStudentDatabase
+
+// Default region's rules (memoized for this execution)
+let phoneRegion_ = null;
+function phoneRegionRules_() {
+  if (!phoneRegion_) {
+    const key = String(getProp_('DEFAULT_PHONE_REGION', 'US')).trim().toUpperCase();
+    if (!PHONE_REGIONS[key]) Logger.log(`Unknown DEFAULT_PHONE_REGION "${key}", using US`);
+    phoneRegion_ = PHONE_REGIONS[key] || PHONE_REGIONS.US;
+  }
+  return phoneRegion_;
+}
+
+// Rules for a calling code when one of our regions uses it
+function callingCodeRules_(cc) {
+  return Object.keys(PHONE_REGIONS).map(k => PHONE_REGIONS[k]).find(r => r.cc === cc) || null;
+}
+
+// { e164: '+447700900123', error: '' } or { e164: '', error: 'why it is not a valid number' }
+function parsePhone_(raw, rules) {
+  rules = rules || phoneRegionRules_();
+  const s = String(raw == null ? '' : raw).trim();
+  const digits = s.replace(/[^\d]/g, '');
+  if (!digits) return { e164: '', error: 'no digits' };
+
+  if (s.startsWith('+')) return internationalE164_(digits);
+  if (digits.startsWith('00')) return internationalE164_(digits.slice(2));
+  if (rules.cc === '1' && digits.startsWith('011')) return internationalE164_(digits.slice(3));
+
+  return nationalE164_(digits, rules);
+}
+
+function nationalE164_(digits, rules) {
+  let nsn = digits;
+  if (rules.trunk && nsn.startsWith(rules.trunk) && !rules.lengths.includes(nsn.length)) {
+    nsn = nsn.slice(rules.trunk.length);
+  }
+  return e164FromParts_(rules.cc, nsn);
+}
+
+function internationalE164_(digits) {
+  for (let n = 1; n <= 3; n++) {
+    const cc = digits.slice(0, n);
+    if (PHONE_CALLING_CODES.includes(cc)) return e164FromParts_(cc, digits.slice(n));
+  }
+  return { e164: '', error: 'unknown country code' };
+}
+
+// Length rules: per-region lengths where we know them, otherwise E.164's 15-digit ceiling
+function e164FromParts_(cc, nsn) {
+  const rules = callingCodeRules_(cc);
+  if (rules) {
+    // "+44 (0)7700 900123": drop a trunk prefix written after the country code
+    if (rules.trunk === '0' && nsn.startsWith('0') && !rules.lengths.includes(nsn.length)) nsn = nsn.slice(1);
+    if (!rules.lengths.includes(nsn.length)) {
+      return { e164: '', error: `+${cc} numbers have ${rules.lengths.join(' or ')} digits after the country code` };
+    }
+  } else if (nsn.length < 6 || cc.length + nsn.length > 15) {
+    return { e164: '', error: 'wrong length for an international number' };
+  }
+  if (cc === '1' && !/^[2-9]\d{2}[2-9]/.test(nsn)) {
+    return { e164: '', error: 'not a valid North American area code and exchange' };
+  }
+  return { e164: '+' + cc + nsn, error: '' };
+}
+
+// Phone # as written to Student Database: default-region numbers as national digits (what older
+// sheets hold), others in E.164 so the "+" that marks them international survives. Raw if it
+// doesn't parse. Compare numbers with normalizePhoneDigits_, never with this.
+function phoneForSheet_(v) {
+  const e164 = toE164_(v);
+  if (!e164) return String(v || '').trim();
+  const cc = phoneRegionRules_().cc;
+  return e164.startsWith('+' + cc) ? e164.slice(cc.length + 1) : e164;
+}
+
+// Student Database: Phone # as text, so Sheets keeps "+44..." instead of turning it into a number
+function ensurePhoneTextFormat_(db) {
+  const headers = db.getRange(1, 1, 1, Math.max(db.getLastColumn(), 1)).getValues()[0].map(h => String(h).trim());
+  const col = headers.indexOf('Phone #') + 1;
+  if (col > 0) db.getRange(1, col, db.getMaxRows(), 1).setNumberFormat('@');
+}
+
+// Student Database: make sure the normalized column exists (as text, so "+1..." isn't turned into
+// a number) and fill it in for rows that don't have it yet
+function ensurePhoneE164Column_(db) {
+  ensurePhoneTextFormat_(db);
+  ensureProcessedColumn_(db, PHONE_E164_COL);
+  const data = readSheetAsObjects_(db);
+  const col = data.headers.indexOf(PHONE_E164_COL) + 1;
+  db.getRange(1, col, db.getMaxRows(), 1).setNumberFormat('@');
+  if (!data.rows.length) return;
+
+  let changed = false;
+  const values = data.rows.map(obj => {
+    const have = String(obj[PHONE_E164_COL] || '');
+    const want = obj['Phone #'] ? toE164_(obj['Phone #']) : '';
+    if (want && have !== want) changed = true;
+    return [want || have];
+  });
+  if (changed) db.getRange(data.startRow, col, values.length, 1).setValues(values);
+}
+
+// Set the normalized phone on a Student Database record before it is written
+function withPhoneE164_(obj) {
+  obj[PHONE_E164_COL] = obj['Phone #'] ? toE164_(obj['Phone #']) : '';
+  return obj;
+}
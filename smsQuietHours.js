@@ -0,0 +1,202 @@
+/***** Quiet hours *****/
+// No texts inside the quiet window (in the recipient's time zone):
+//   - interactive sends (sidebar, menu) are blocked with an explanation
+//   - automated/bulk sends are deferred to the "Deferred Sends" sheet and released by
+//     releaseDeferredSends once the window opens, unless the number opted out, was suppressed
+//     (Phone Status) or excluded by Lookup in the meantime: those rows are marked skipped
+//   - transactional replies from doPost are TwiML responses and never pass through here
+//
+// Script Properties:
+//   QUIET_HOURS_START / QUIET_HOURS_END   24h "HH:mm", e.g. 21:00 and 08:00 (both blank = off)
+// Time zone: project time zone, overridable per student with a "Time Zone" column
+// (IANA name, e.g. America/Chicago) in Student Database.
+
+const DEFERRED_SHEET = 'Deferred Sends';
+const DEFERRED_HEADERS = ['Queued At', 'To', 'Body', 'Source', 'Release At', 'Status', 'Sent At', 'Result', 'Media URL'];
+const DEFERRED_TRIGGER_FN = 'releaseDeferredSends';
+const DEFERRED_TRIGGER_MINUTES = 15;
+
+// "HH:mm" -> minutes after midnight, or null
+function parseClock_(s) {
+  const m = String(s || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const h = Number(m[1]), min = Number(m[2]);
+  return (h < 24 && min < 60) ? h * 60 + min : null;
+}
+
+function quietHoursWindow_() {
+  const start = parseClock_(getProp_('QUIET_HOURS_START', ''));
+  const end   = parseClock_(getProp_('QUIET_HOURS_END', ''));
+  return (start === null || end === null || start === end) ? null : { start, end };
+}
+
+// When the quiet window ends for this time zone, or null if it isn't quiet right now
+function quietUntil_(tz, now) {
+  const win = quietHoursWindow_();
+  if (!win) return null;
+  now = now || new Date();
+  tz = tz || Session.getScriptTimeZone();
+
+  const local = parseClock_(Utilities.formatDate(now, tz, 'HH:mm'));
+  const quiet = win.start < win.end
+    ? (local >= win.start && local < win.end)   // e.g. 01:00-06:00
+    : (local >= win.start || local < win.end);  // wraps midnight, e.g. 21:00-08:00
+  if (!quiet) return null;
+
+  const minutesLeft = (win.end - local + 1440) % 1440;
+  const until = new Date(now.getTime() + minutesLeft * 60000);
+  until.setSeconds(0, 0);
+  return until;
+}
+
+// normalized phone -> "Time Zone" from Student Database (memoized for this execution)
+let studentTimeZones_ = null;
+function recipientTimeZone_(phone) {
+  if (!studentTimeZones_) {
+    studentTimeZones_ = new Map();
+    const db = SpreadsheetApp.getActive().getSheetByName(CONFIG.databaseSheetName);
+    if (db) {
+      readSheetAsObjects_(db).rows.forEach(r => {
+        const tz = String(r['Time Zone'] || '').trim();
+        const key = normalizePhoneDigits_(r['Phone #']);
+        if (tz && key) studentTimeZones_.set(key, tz);
+      });
+    }
+  }
+  return studentTimeZones_.get(normalizePhoneDigits_(phone)) || Session.getScriptTimeZone();
+}
+
+function quietUntilForPhone_(phone, now) {
+  return quietUntil_(recipientTimeZone_(phone), now);
+}
+
+// subject: e.g. "3 recipients are", "It is"
+function quietHoursMessage_(until, subject) {
+  const tz = Session.getScriptTimeZone();
+  return `Quiet hours: ${subject} inside the ${getProp_('QUIET_HOURS_START', '')}–${getProp_('QUIET_HOURS_END', '')} ` +
+    `no-text window. Try again after ${Utilities.formatDate(until, tz, 'EEE h:mm a')} (${tz}) or schedule the message.`;
+}
+
+// Interactive sends: throw (the sidebar shows the message) if any recipient is in quiet hours
+function assertNotQuietHours_(phones) {
+  const now = new Date();
+  let latest = null, count = 0;
+  [].concat(phones).forEach(p => {
+    const until = quietUntilForPhone_(p, now);
+    if (until) {
+      count++;
+      if (!latest || until > latest) latest = until;
+    }
+  });
+  if (latest) throw new Error(quietHoursMessage_(latest, count > 1 ? `${count} recipients are` : 'This recipient is'));
+}
+
+/***** Deferred queue *****/
+function deferredSheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(DEFERRED_SHEET);
+  if (!sh) {
+    sh = ss.insertSheet(DEFERRED_SHEET);
+    sh.appendRow(DEFERRED_HEADERS);
+    sh.setFrozenRows(1);
+  } else if (sh.getLastColumn() < DEFERRED_HEADERS.length) {
+    sh.getRange(1, 1, 1, DEFERRED_HEADERS.length).setValues([DEFERRED_HEADERS]); // Media URL added later
+  }
+  return sh;
+}
+
+function deferSend_(to, body, source, releaseAt, mediaUrl) {
+  deferredSheet_().appendRow([new Date(), "'" + to, body, source || '', releaseAt, 'pending', '', '', mediaUrl || '']);
+  const exists = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === DEFERRED_TRIGGER_FN);
+  if (!exists) {
+    ScriptApp.newTrigger(DEFERRED_TRIGGER_FN).timeBased().everyMinutes(DEFERRED_TRIGGER_MINUTES).create();
+  }
+}
+
+// Why a queued message may no longer go out ('' when it may). Also used by the retry queue
+// (smsRetry.js) and campaign chunks (smsCampaigns.js). Students are checked against their
+// Student Database rows as resolveAudience_ does; numbers not in it (bulk sheet contacts) against
+// their latest Consent Log entry, which STOP records even without a database match.
+function deferredBlockReason_(to, students, consent) {
+  const key = normalizePhoneDigits_(to);
+  const rows = students.get(key);
+  if (rows) {
+    if (!rows.some(r => String(r['SMS Opt-In'] || '').trim().toLowerCase() === 'yes')) return 'opted out';
+    if (rows.every(r => isPhoneSuppressed_(r[PHONE_STATUS_COL]))) return 'phone status ' + rows[0][PHONE_STATUS_COL];
+    if (rows.every(r => isLookupExcluded_(r['Line Type'], r['Phone Valid']))) return 'excluded by Lookup';
+    return '';
+  }
+  const latest = consent.get(key);
+  return latest && latest !== 'yes' ? 'opted out' : '';
+}
+
+// normalized phone -> [Student Database row objects]
+function studentsByPhone_() {
+  const out = new Map();
+  const db = SpreadsheetApp.getActive().getSheetByName(CONFIG.databaseSheetName);
+  if (!db) return out;
+  readSheetAsObjects_(db).rows.forEach(r => {
+    const key = normalizePhoneDigits_(r['Phone #']);
+    if (key) out.set(key, (out.get(key) || []).concat([r]));
+  });
+  return out;
+}
+
+// normalized phone -> its latest Consent Log value, lowercased
+function latestConsentByPhone_() {
+  const out = new Map();
+  const sh = SpreadsheetApp.getActive().getSheetByName(CONSENT_SHEET);
+  if (!sh) return out;
+  sh.getDataRange().getValues().slice(1).forEach(v => {
+    const key = normalizePhoneDigits_(v[1]);
+    if (key) out.set(key, String(v[3] || '').trim().toLowerCase()); // rows are appended in time order
+  });
+  return out;
+}
+
+// Trigger: send deferred messages whose window has opened.
+// Document lock, not the script lock, so inbound texts and status callbacks aren't held up.
+function releaseDeferredSends() {
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(1000)) return; // a campaign chunk or retry run is sending; next run picks these up
+
+  try {
+    const sh = deferredSheet_();
+    const vals = sh.getDataRange().getValues();
+    const now = new Date();
+    let students = null, consent = null;
+    for (let i = 1; i < vals.length; i++) {
+      const [, to, body, , releaseAt, status, , , mediaUrl] = vals[i];
+      if (String(status) !== 'pending') continue;
+      if (releaseAt instanceof Date && releaseAt > now) continue;
+      if (quietUntilForPhone_(to, now)) continue; // still quiet for them (e.g. time zone changed)
+
+      const row = i + 1;
+      if (!students) { students = studentsByPhone_(); consent = latestConsentByPhone_(); }
+      const blocked = deferredBlockReason_(to, students, consent);
+      if (blocked) {
+        sh.getRange(row, 6, 1, 3).setValues([['skipped', new Date(), blocked]]);
+        continue;
+      }
+      sh.getRange(row, 6).setValue('sending'); // never resend if this run dies mid-way
+      SpreadsheetApp.flush();
+      const res = deliverWithControls_(String(to), String(body), mediaUrl ? { mediaUrl: String(mediaUrl) } : undefined);
+      sh.getRange(row, 6, 1, 3).setValues([[
+        res.success ? 'sent' : 'failed',
+        new Date(),
+        res.success ? (res.dryRun ? 'dry run' : 'ok') : (res.error || 'error')
+      ]]);
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/***** Sidebar RPC *****/
+// Project-time-zone status for the composer banner
+function uiQuietHoursStatus() {
+  requireAdmin_();
+  requirePass_();
+  const until = quietUntil_(Session.getScriptTimeZone());
+  return until ? { quiet: true, message: quietHoursMessage_(until, 'It is') } : { quiet: false };
+}
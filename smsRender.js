@@ -0,0 +1,287 @@
+/***** Message rendering *****/
+// Every outgoing body goes through renderTemplate_. What a template can say:
+//   {title} {date} {location} {footer} {rsvp}   the event and standard copy ({date}: "Fri, Jul 18 @ 6:00 PM")
+//   {firstName} {name}                           the recipient
+//   {Role} {Discord} {Join Date} ...             any Student Database column, by its header
+//   {Public Event Title} {Flyer} ...             any Event Log column (row-3 headers)
+//   {student.Location} {event.Location}          pick a sheet when both have the column
+//   {firstName|there}                            fallback text when the value is blank
+//   {date|short} {title|upper}                   formatters (TEMPLATE_FORMATTERS); chain them: {firstName|upper|there}
+//   {location? at {location}}                    optional section, kept only when the value isn't blank; sections nest
+// Names match ignoring case, spaces and punctuation. A placeholder that matches nothing is an error:
+// it renders as nothing (never as literal braces), the preview lists it and uiSend refuses to send.
+//
+// The confirm dialog previews any recipient's exact message and flags the ones that come out empty,
+// longer than SMS_MAX_SEGMENTS or with a blank field and no fallback; one can be sent to ADMIN_TEST_NUMBER.
+//
+// Script Properties:
+//   SMS_MAX_SEGMENTS   segments per message above which a recipient is flagged (default 4)
+
+const TEMPLATE_DATE_FORMATS = { short: 'EEE M/d', long: 'EEEE, MMMM d', time: 'h:mm a', day: 'EEEE' };
+
+const TEMPLATE_FORMATTERS = {
+  upper: (v, key) => templateText_(v, key).toUpperCase(),
+  lower: (v, key) => templateText_(v, key).toLowerCase(),
+  title: (v, key) => templateText_(v, key).toLowerCase().replace(/(^|\s)(\S)/g, (_, s, c) => s + c.toUpperCase()),
+  first: (v, key) => templateText_(v, key).split(/\s+/)[0],
+  short: (v, key) => formatTemplateDate_(v, key, TEMPLATE_DATE_FORMATS.short),
+  long:  (v, key) => formatTemplateDate_(v, key, TEMPLATE_DATE_FORMATS.long),
+  time:  (v, key) => formatTemplateDate_(v, key, TEMPLATE_DATE_FORMATS.time),
+  day:   (v, key) => formatTemplateDate_(v, key, TEMPLATE_DATE_FORMATS.day)
+};
+
+// "Join Date", "join_date" and "joinDate" are the same placeholder
+function templateKey_(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Cell value as message text. {date} keeps the long event format; other dates print as M/d/yyyy.
+function templateText_(v, key) {
+  if (v === null || v === undefined) return '';
+  if (v instanceof Date) {
+    if (key === 'date') return formatEventDate_(v);
+    return Utilities.formatDate(v, Session.getScriptTimeZone() || 'America/New_York', 'M/d/yyyy');
+  }
+  return String(v).trim();
+}
+
+// Date formatters leave values that aren't dates as they are
+function formatTemplateDate_(v, key, pattern) {
+  if (v === null || v === undefined || v === '') return '';
+  const d = v instanceof Date ? v : new Date(v);
+  if (isNaN(d.getTime())) return templateText_(v, key);
+  return Utilities.formatDate(d, Session.getScriptTimeZone() || 'America/New_York', pattern);
+}
+
+// Header -> value map re-keyed by templateKey_
+function templateFields_(fields) {
+  const out = {};
+  Object.keys(fields || {}).forEach(h => { if (h.trim()) out[templateKey_(h)] = fields[h]; });
+  return out;
+}
+
+// Student Database headers (templateKey_), so {Role} is known even before there's a recipient
+function studentTemplateKeys_() {
+  const db = SpreadsheetApp.getActive().getSheetByName('Student Database');
+  const keys = new Set(['firstname', 'name']);
+  if (db && db.getLastColumn()) {
+    db.getRange(1, 1, 1, db.getLastColumn()).getValues()[0].forEach(h => { if (String(h).trim()) keys.add(templateKey_(h)); });
+  }
+  return keys;
+}
+
+// Event half of a render context, built once per send: { builtins, event, studentKeys, student: null }
+function templateContext_(eventId) {
+  const ev = eventId ? findEventRow_(eventId) : null;
+  // With no event its columns are still known placeholders; they render blank
+  const fields = ev ? ev.fields
+    : Object.fromEntries(Object.keys((readEventLog_()[0] || {}).fields || {}).map(h => [h, '']));
+  return {
+    builtins: {
+      title: ev ? String(ev.title || '').trim() : 'our event',
+      date: ev ? (eventStart_(ev) || ev.rawDate) : '',
+      location: ev ? String(ev.location || '').trim() : '',
+      footer: smsFooter_(),
+      rsvp: rsvpPrompt_()
+    },
+    event: templateFields_(fields),
+    studentKeys: studentTemplateKeys_(),
+    student: null
+  };
+}
+
+// The same context for one recipient. fields: the student's Student Database row as header -> value.
+function recipientContext_(ctx, fields) {
+  const student = templateFields_(fields);
+  const name = String((fields && fields['Student Name']) || '').trim();
+  student.name = name;
+  student.firstname = name ? name.split(/\s+/)[0] : '';
+  return Object.assign({}, ctx, { student });
+}
+
+// { found, key, value, recipient } for a placeholder name. recipient: a Student Database field;
+// its value is undefined when the context has no recipient yet (the preview shows those as [Name]).
+function lookupPlaceholder_(ctx, name) {
+  const m = /^(event|student)\.(.+)$/i.exec(name);
+  const scope = m ? m[1].toLowerCase() : '';
+  const key = templateKey_(m ? m[2] : name);
+  if (!scope && Object.prototype.hasOwnProperty.call(ctx.builtins, key)) return { found: true, key, value: ctx.builtins[key] };
+  if (scope !== 'event' && ctx.studentKeys.has(key)) {
+    return { found: true, key, value: ctx.student ? ctx.student[key] : undefined, recipient: true };
+  }
+  if (scope !== 'student' && Object.prototype.hasOwnProperty.call(ctx.event, key)) return { found: true, key, value: ctx.event[key] };
+  return { found: false, key };
+}
+
+// Render body against a context: { text, errors, blanks }. errors lists unknown placeholders and
+// unbalanced braces; blanks the recipient fields that came out empty with no fallback (outside
+// optional sections that were dropped). Each is listed once.
+function renderTemplate_(body, ctx) {
+  const src = String(body || '').replace(/\r\n/g, '\n');
+  const errors = [];
+  const blanks = [];
+  const nameRe = /[^\S\n]*([A-Za-z_][\w .#'\/-]*?)[^\S\n]*([?|}])/y;
+  let i = 0;
+
+  function value(name, filters) {
+    const hit = lookupPlaceholder_(ctx, name);
+    if (!hit.found) { errors.push(`Unknown placeholder {${name}}`); return ''; }
+    if (hit.value === undefined) return `[${name}]`;
+    let v = hit.value;
+    let fallback = false;
+    for (const f of filters) {
+      if (TEMPLATE_FORMATTERS[f]) v = TEMPLATE_FORMATTERS[f](v, hit.key);
+      else if (!templateText_(v, hit.key)) { v = f; fallback = true; } // anything that isn't a formatter is the fallback
+    }
+    const text = templateText_(v, hit.key);
+    if (!text && hit.recipient && !fallback) blanks.push(`{${name}}`);
+    return text;
+  }
+
+  // One {...} starting at src[i]
+  function placeholder() {
+    nameRe.lastIndex = i + 1;
+    const m = nameRe.exec(src);
+    if (!m) {
+      errors.push(`"{" without a placeholder name near "${src.slice(i, i + 20).split('\n')[0]}"`);
+      i++;
+      return '';
+    }
+    const name = m[1];
+    i = nameRe.lastIndex;
+    if (m[2] === '}') return value(name, []);
+    if (m[2] === '|') {
+      const close = src.indexOf('}', i);
+      const spec = close < 0 ? '' : src.slice(i, close);
+      if (close < 0 || spec.includes('{') || spec.includes('\n')) {
+        errors.push(`{${name}|...} is missing its closing "}"`);
+        return '';
+      }
+      i = close + 1;
+      return value(name, spec.split('|').map(s => s.trim()));
+    }
+    // {name? section}: the section may hold text, placeholders and further sections
+    while (i < src.length && /\s/.test(src[i])) i++;
+    const blanksBefore = blanks.length;
+    const inner = section(name);
+    const hit = lookupPlaceholder_(ctx, name);
+    if (!hit.found) { errors.push(`Unknown placeholder {${name}?...}`); return ''; }
+    if (hit.value === undefined || templateText_(hit.value, hit.key)) return inner;
+    blanks.length = blanksBefore; // nothing inside a dropped section is sent
+    return '';
+  }
+
+  // Text up to the "}" closing the `open` section, or to the end at the top level
+  function section(open) {
+    let out = '';
+    while (i < src.length) {
+      const ch = src[i];
+      if (ch === '{') { out += placeholder(); continue; }
+      i++;
+      if (ch !== '}') { out += ch; continue; }
+      if (open) return out;
+      errors.push('"}" without a matching "{"');
+    }
+    if (open) errors.push(`{${open}? ...} is missing its closing "}"`);
+    return out;
+  }
+
+  // Tidy: collapse spaces/tabs (not newlines), no space before punctuation, trim each line
+  const text = section('')
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/[ \t]+([!?.,;:])/g, '$1')
+    .split('\n')
+    .map(line => line.replace(/^[ \t]+|[ \t]+$/g, ''))
+    .join('\n')
+    .trim();
+  return { text, errors: Array.from(new Set(errors)), blanks: Array.from(new Set(blanks)) };
+}
+
+// Throws with the template's errors (unknown placeholders, unbalanced braces)
+function assertTemplateRenders_(body, eventId) {
+  const { errors } = renderTemplate_(body, templateContext_(eventId));
+  if (errors.length) throw new Error('Check the placeholders: ' + errors.join('; ') + '.');
+}
+
+// One sheet row as header -> value
+function rowFields_(headers, row) {
+  return Object.fromEntries(headers.map((h, j) => [h, row[j]]));
+}
+
+// Student Database rows as header -> value, by lowercased Campus Email (campaign chunks)
+function studentFieldsByEmail_() {
+  const db = SpreadsheetApp.getActive().getSheetByName('Student Database');
+  const map = new Map();
+  if (!db) return map;
+  const vals = db.getDataRange().getValues();
+  const headers = vals[0].map(String);
+  const col = headers.indexOf('Campus Email');
+  if (col < 0) return map;
+  for (let i = 1; i < vals.length; i++) {
+    const ce = String(vals[i][col] || '').trim().toLowerCase();
+    if (ce) map.set(ce, rowFields_(headers, vals[i]));
+  }
+  return map;
+}
+
+// Each recipient's message: { base, renders: [{ person, text, errors, blanks }] }.
+// base is the render with no recipient (what the composer preview shows).
+function renderForAudience_(eventId, audienceKey, body, opts) {
+  const ctx = templateContext_(eventId);
+  const {people} = resolveAudience_(eventId, audienceKey, opts);
+  return {
+    base: renderTemplate_(body, ctx).text,
+    renders: people.map(p => Object.assign({ person: p }, renderTemplate_(body, recipientContext_(ctx, p.fields))))
+  };
+}
+
+function maxSegments_() {
+  const n = Number(getProp_('SMS_MAX_SEGMENTS', '4'));
+  return isFinite(n) && n > 0 ? n : 4;
+}
+
+// Why one recipient's render needs a look, or [] when it's fine
+function renderIssues_(r, segments, limit) {
+  const issues = [];
+  if (!r.text) issues.push('Message is empty');
+  if (segments > limit) issues.push(`${segments} segments (limit ${limit})`);
+  r.errors.forEach(e => issues.push(e));
+  r.blanks.forEach(b => issues.push(`No value for ${b}`));
+  return issues;
+}
+
+/***** Sidebar RPCs *****/
+// Every recipient's exact message for the confirm dialog:
+// { limit, flagged, recipients: [{ campusEmail, name, phone, text, chars, segments, issues }] }
+// Segments are counted with tracked links (smsLinks.js) the way estimateSend_ counts them.
+function uiPreviewRecipients(eventId, audienceKey, body, ignoreCap) {
+  requireAdmin_();
+  requirePass_();
+  const limit = maxSegments_();
+  const { base, renders } = renderForAudience_(eventId, audienceKey, body, { ignoreCap: !!ignoreCap });
+  const links = linkTrackingEnabled_() ? findLinks_(base).map(url => ({ id: '00000000', url })) : [];
+  const recipients = renders.map(r => {
+    const segments = r.text ? smsSegments_(trackLinks_(r.text, links, 46656)).segments : 0;
+    return {
+      campusEmail: r.person.campusEmail, name: r.person.name, phone: r.person.phone,
+      text: r.text, chars: r.text.length, segments, issues: renderIssues_(r, segments, limit)
+    };
+  });
+  return { limit, flagged: recipients.filter(r => r.issues.length).length, recipients };
+}
+
+// Text one recipient's exact message to ADMIN_TEST_NUMBER (links untracked, image attached if picked)
+function uiSendRecipientTest(eventId, body, campusEmail, mediaRef) {
+  requireAdmin_();
+  requirePass_();
+  const me = getProp_('ADMIN_TEST_NUMBER', '');
+  if (!me) throw new Error('Set ADMIN_TEST_NUMBER in Script Properties.');
+  assertTemplateRenders_(body, eventId);
+  const fields = studentFieldsByEmail_().get(String(campusEmail || '').trim().toLowerCase());
+  if (!fields) throw new Error('That recipient is no longer in the Student Database.');
+  const text = renderMessage_(body, eventId, fields);
+  if (!text) throw new Error("This recipient's message is empty.");
+  const res = sendOneWithControls_(toE164_(me), text, { kind: 'test', mediaUrl: mediaRef ? publishMedia_(mediaRef, eventId) : '' });
+  if (!res.success) throw new Error(res.error || 'Test send failed.');
+  return { to: me, dryRun: !!res.dryRun };
+}
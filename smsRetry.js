@@ -0,0 +1,164 @@
+/***** Retry policy for Twilio sends *****/
+// classifyTwilioError_ splits failures into transient (429, 5xx, network: worth another try) and
+// permanent (invalid number, landline, opted out, carrier-filtered: retrying never helps).
+//   - fetchTwilioWithRetry_ retries transient HTTP failures inside the call with exponential backoff
+//     (used by sendSms_ and the bulk sender's sendTwilioSMS)
+//   - the retry queue (retryFailedSends, every 15 min, or SMS > Resend failures) re-sends transient
+//     failures from the SMS Log until RETRY_MAX_ATTEMPTS. Every failed row it looks at is marked in
+//     the "Retry" column so it is never retried twice; a retry logs a new row with its attempt number.
+//     A number that opted out, was suppressed or excluded by Lookup since is dropped, not re-sent.
+//
+// Script Properties:
+//   TWILIO_HTTP_RETRIES   extra in-call attempts for 429/5xx/network errors (default 2)
+//   RETRY_MAX_ATTEMPTS    total attempts per message, the first send included (default 3)
+//   RETRY_BACKOFF_MIN     minutes before the first queued retry, doubled for each attempt (default 15)
+
+const TWILIO_PERMANENT_CODES = [21211, 21614, 21610, 30007];
+const TWILIO_TRANSIENT_CODES = [20429, 30001]; // Twilio's own "too many requests" and queue overflow
+const SMS_RETRY_COLS = ['Error Code', 'Attempt', 'Retry'];
+const RETRY_TRIGGER_FN = 'retryFailedSends';
+const RETRY_TRIGGER_MINUTES = 15;
+const RETRY_RUN_MS = 4 * 60 * 1000;
+
+// 'transient' | 'permanent'. httpCode 0 means the request never completed (network error).
+// Anything not known to be transient counts as permanent: a rejected request fails the same way again.
+function classifyTwilioError_(httpCode, errorCode) {
+  const code = Number(errorCode) || 0;
+  const http = Number(httpCode) || 0;
+  if (TWILIO_PERMANENT_CODES.includes(code)) return 'permanent';
+  if (TWILIO_TRANSIENT_CODES.includes(code)) return 'transient';
+  if (http === 0 || http === 429 || http >= 500) return 'transient';
+  return 'permanent';
+}
+
+// UrlFetchApp.fetch that retries 429/5xx/network errors with exponential backoff.
+// Returns the last HTTPResponse; rethrows the network error if no attempt got a response.
+function fetchTwilioWithRetry_(url, options) {
+  const retries = Math.max(0, Number(getProp_('TWILIO_HTTP_RETRIES', '2')) || 0);
+  for (let attempt = 0; ; attempt++) {
+    let resp = null, error = null;
+    try {
+      resp = UrlFetchApp.fetch(url, Object.assign({}, options, { muteHttpExceptions: true }));
+    } catch (e) {
+      error = e;
+    }
+    const code = resp ? resp.getResponseCode() : 0;
+    if (resp && code !== 429 && code < 500) return resp;
+    if (attempt >= retries) {
+      if (resp) return resp;
+      throw error;
+    }
+    Logger.log(`Twilio ${resp ? 'HTTP ' + code : 'network error'}; retrying (${attempt + 1}/${retries})`);
+    Utilities.sleep(retryDelayMs_(attempt, resp));
+  }
+}
+
+// 1s, 2s, 4s... (or Retry-After when Twilio sends one), capped at 10s, plus a little jitter
+function retryDelayMs_(attempt, resp) {
+  const headers = resp ? resp.getHeaders() : {};
+  const after = Number(headers['Retry-After'] || headers['retry-after']);
+  const ms = after > 0 ? after * 1000 : 1000 * Math.pow(2, attempt);
+  return Math.min(ms, 10000) + Math.floor(Math.random() * 250);
+}
+
+// Retry columns as 0-based indexes
+function ensureSmsLogRetryCols_(sh) {
+  const headers = ensureSmsLogCols_(sh, SMS_RETRY_COLS);
+  return {
+    errorCode: headers.indexOf('Error Code'),
+    attempt:   headers.indexOf('Attempt'),
+    retry:     headers.indexOf('Retry')
+  };
+}
+
+// Installs the retry trigger once. Best-effort: called from sendSms_, which must never throw.
+function ensureRetryTrigger_() {
+  try {
+    const exists = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === RETRY_TRIGGER_FN);
+    if (!exists) {
+      ScriptApp.newTrigger(RETRY_TRIGGER_FN).timeBased().everyMinutes(RETRY_TRIGGER_MINUTES).create();
+    }
+  } catch (e) {
+    Logger.log('Could not install retry trigger: ' + e);
+  }
+}
+
+/***** Retry queue *****/
+// Walks the SMS Log for failed outbound rows that haven't been looked at yet.
+// Returns { retried, permanent, exhausted, dropped }.
+function processRetryQueue_() {
+  const out = { retried: 0, permanent: 0, exhausted: 0, dropped: 0 };
+  const sh = SpreadsheetApp.getActive().getSheetByName('SMS Log');
+  if (!sh || sh.getLastRow() < 2) return out;
+
+  const maxAttempts = Math.max(1, Number(getProp_('RETRY_MAX_ATTEMPTS', '3')) || 3);
+  const backoffMin = Math.max(1, Number(getProp_('RETRY_BACKOFF_MIN', '15')) || 15);
+  const deliv = ensureSmsLogStatusCols_(sh);
+  const cols = ensureSmsLogRetryCols_(sh);
+  const media = ensureSmsLogMediaCols_(sh).media;
+  const kindCol = ensureSmsLogKindCol_(sh);
+  const vals = sh.getDataRange().getValues();
+  const mark = (r, note) => sh.getRange(r + 1, cols.retry + 1).setValue(note);
+  const deadline = Date.now() + RETRY_RUN_MS;
+  let students = null, consent = null; // read once, only if something is due
+
+  for (let r = 1; r < vals.length && Date.now() < deadline; r++) {
+    // Timestamp | To | Body | Twilio SID | HTTP Code | Error | ...
+    const [ts, to, body, sid, http, err] = vals[r];
+    if (String(to) === 'IN' || String(sid) === 'DRYRUN' || !to || !body) continue;
+    if (vals[r][cols.retry]) continue; // already handled
+    const kind = String(vals[r][kindCol] || '');
+    if (kind === 'bulk') continue; // sendBulkSMS retries its own rows
+
+    const code = Number(http) || 0;
+    const deliveryFailed = isFailedDeliveryStatus_(vals[r][deliv.status]);
+    const requestFailed = code >= 400 || (code === 0 && err);
+    if (!requestFailed && !deliveryFailed) continue;
+
+    const errorCode = requestFailed ? vals[r][cols.errorCode] : vals[r][deliv.error];
+    if (classifyTwilioError_(code, errorCode) !== 'transient') {
+      mark(r, 'not retried: permanent error');
+      out.permanent++;
+      continue;
+    }
+
+    const attempt = Number(vals[r][cols.attempt]) || 1;
+    if (attempt >= maxAttempts) {
+      mark(r, `gave up after ${attempt} attempts`);
+      out.exhausted++;
+      continue;
+    }
+    const sentAt = ts instanceof Date ? ts.getTime() : 0;
+    if (Date.now() < sentAt + backoffMin * Math.pow(2, attempt - 1) * 60000) continue; // not due yet
+    if (quietUntilForPhone_(String(to))) continue; // picked up again after quiet hours
+
+    // Consent may have changed since the first attempt (smsQuietHours.js)
+    if (!students) { students = studentsByPhone_(); consent = latestConsentByPhone_(); }
+    const blocked = deferredBlockReason_(to, students, consent);
+    if (blocked) {
+      mark(r, 'dropped: ' + blocked);
+      out.dropped++;
+      continue;
+    }
+
+    // Mark first so a crash mid-send never retries this row again
+    mark(r, 'retried ' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm'));
+    SpreadsheetApp.flush();
+    deliverWithControls_(String(to), String(body), { attempt: attempt + 1, mediaUrl: String(vals[r][media] || ''), kind });
+    out.retried++;
+  }
+  return out;
+}
+
+/***** Trigger *****/
+function retryFailedSends() {
+  // Sending jobs share the document lock (see continueCampaigns) so inbound texts aren't blocked
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(1000)) return; // a campaign chunk or another retry run is going
+  try {
+    const res = processRetryQueue_();
+    if (res.retried || res.permanent || res.exhausted) Logger.log('Retry queue: ' + JSON.stringify(res));
+  } finally {
+    lock.releaseLock();
+  }
+}
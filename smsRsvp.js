@@ -0,0 +1,107 @@
+/***** RSVP by reply to event reminders *****/
+// Reminder sends containing {rsvp} add a row per recipient to the
+// RSVP sheet. A Y/N/MAYBE reply within RSVP_WINDOW_HOURS (default 72) of the latest reminder
+// to that number is recorded against that event.
+
+const RSVP_SHEET = 'RSVP';
+const RSVP_HEADERS = ['Event ID', 'Campus Email', 'Phone', 'Student Name', 'Reminded At', 'Response', 'Responded At'];
+
+// Reply text -> 'yes' | 'no' | 'maybe' | ''
+// YES is also a Twilio opt-in keyword, so the prompt asks for Y; we still accept it.
+const RSVP_ANSWERS = {
+  Y: 'yes', YES: 'yes', YEP: 'yes', YEAH: 'yes',
+  N: 'no', NO: 'no', NOPE: 'no',
+  M: 'maybe', MAYBE: 'maybe'
+};
+
+function parseRsvpReply_(body) {
+  const word = String(body || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+  return RSVP_ANSWERS[word] || '';
+}
+
+function rsvpWindowMs_() {
+  const h = Number(getProp_('RSVP_WINDOW_HOURS', '72'));
+  return (isFinite(h) && h > 0 ? h : 72) * 60 * 60 * 1000;
+}
+
+function rsvpSheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(RSVP_SHEET);
+  if (!sh) {
+    sh = ss.insertSheet(RSVP_SHEET);
+    sh.appendRow(RSVP_HEADERS);
+  }
+  return sh;
+}
+
+// people: [{ campusEmail, phone, name? }]. One row per event + phone; a repeat reminder refreshes Reminded At.
+function recordRsvpReminders_(eventId, people) {
+  const sh = rsvpSheet_();
+  const vals = sh.getDataRange().getValues();
+  const existing = new Map();
+  for (let i = 1; i < vals.length; i++) {
+    existing.set(String(vals[i][0]).trim() + '::' + normalizePhoneDigits_(vals[i][2]), i + 1);
+  }
+
+  const now = new Date();
+  const rows = [];
+  people.forEach(p => {
+    const phone = normalizePhoneDigits_(p.phone);
+    if (!phone) return;
+    const row = existing.get(String(eventId).trim() + '::' + phone);
+    if (row) {
+      sh.getRange(row, 5).setValue(now);
+    } else {
+      rows.push([eventId, p.campusEmail || '', "'" + phone, p.name || '', now, '', '']);
+    }
+  });
+  if (rows.length) {
+    sh.getRange(sh.getLastRow() + 1, 1, rows.length, RSVP_HEADERS.length).setValues(rows);
+  }
+}
+
+// Record a Y/N/MAYBE reply. Returns the reply text, or '' if this number has no recent reminder
+// (the message then falls through like any other inbound text).
+function handleRsvpReply_(from, body) {
+  const answer = parseRsvpReply_(body);
+  const phone = normalizePhoneDigits_(from);
+  if (!answer || !phone) return '';
+
+  const sh = SpreadsheetApp.getActive().getSheetByName(RSVP_SHEET);
+  if (!sh) return '';
+
+  const vals = sh.getDataRange().getValues();
+  const cutoff = Date.now() - rsvpWindowMs_();
+  let best = -1, bestAt = 0;
+  for (let i = 1; i < vals.length; i++) {
+    if (normalizePhoneDigits_(vals[i][2]) !== phone) continue;
+    const at = vals[i][4] instanceof Date ? vals[i][4].getTime() : 0;
+    if (at >= cutoff && at > bestAt) { best = i; bestAt = at; }
+  }
+  if (best < 0) return '';
+
+  sh.getRange(best + 1, 6, 1, 2).setValues([[answer, new Date()]]);
+
+  const eventId = String(vals[best][0]).trim();
+  const title = getEventInfo_(eventId).title;
+  if (answer === 'yes') return `Thanks! You're a YES for ${title}. See you there!`;
+  if (answer === 'no') return `Thanks for letting us know. We'll miss you at ${title}.`;
+  return `Got it, you're a MAYBE for ${title}. Reply Y if you can make it.`;
+}
+
+// Campus emails for an event's RSVP follow-up audiences:
+// response 'yes', '' for no response yet, or null for everyone reminded about the event
+function rsvpAudienceEmails_(eventId, response) {
+  const emails = new Set();
+  const sh = SpreadsheetApp.getActive().getSheetByName(RSVP_SHEET);
+  if (!sh) return emails;
+
+  const vals = sh.getDataRange().getValues();
+  for (let i = 1; i < vals.length; i++) {
+    if (String(vals[i][0]).trim() !== String(eventId).trim()) continue;
+    if (response !== null && String(vals[i][5] || '').trim().toLowerCase() !== response) continue;
+    const ce = String(vals[i][1] || '').trim().toLowerCase();
+    if (ce) emails.add(ce);
+  }
+  return emails;
+}
@@ -0,0 +1,237 @@
+/***** Scheduled campaigns (time-driven dispatcher) *****/
+// The composer can queue a message for later. Campaigns live in the "Scheduled Sends" sheet;
+// dispatchScheduledSends runs every few minutes on a time-based trigger and turns the due ones into
+// campaigns (smsCampaigns.js, Request ID = the scheduled Campaign ID), resolving the audience at
+// send time via resolveAudience_. The campaign sends in chunks; a later run marks the row sent.
+//
+// Status: pending -> sending -> sent | failed, or canceled
+
+const SCHEDULE_SHEET = 'Scheduled Sends';
+const SCHEDULE_HEADERS = [
+  'Campaign ID', 'Scheduled For', 'Event ID', 'Audience', 'Body',
+  'Status', 'Created By', 'Created At', 'Sent At', 'Sent Count', 'Error', 'Compliance Override'
+];
+const SCHEDULE_COL = SCHEDULE_HEADERS.reduce((m, h, i) => (m[h] = i, m), {}); // header -> 0-based
+const SCHEDULE_TRIGGER_FN = 'dispatchScheduledSends';
+const SCHEDULE_TRIGGER_MINUTES = 5;
+
+function scheduleSheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(SCHEDULE_SHEET);
+  if (!sh) {
+    sh = ss.insertSheet(SCHEDULE_SHEET);
+    sh.appendRow(SCHEDULE_HEADERS);
+    sh.setFrozenRows(1);
+  } else if (sh.getLastColumn() < SCHEDULE_HEADERS.length) {
+    sh.getRange(1, 1, 1, SCHEDULE_HEADERS.length).setValues([SCHEDULE_HEADERS]); // columns added since the sheet was made
+  }
+  return sh;
+}
+
+// [{ row, id, sendAt: Date, eventId, audienceKey, body, status, createdBy, ... }]
+function readScheduledSends_(sh) {
+  const vals = sh.getDataRange().getValues();
+  const out = [];
+  for (let i = 1; i < vals.length; i++) {
+    const v = vals[i];
+    const id = String(v[SCHEDULE_COL['Campaign ID']] || '').trim();
+    if (!id) continue;
+    out.push({
+      row: i + 1,
+      id,
+      sendAt: v[SCHEDULE_COL['Scheduled For']] instanceof Date ? v[SCHEDULE_COL['Scheduled For']] : new Date(v[SCHEDULE_COL['Scheduled For']]),
+      eventId: String(v[SCHEDULE_COL['Event ID']] || ''),
+      audienceKey: String(v[SCHEDULE_COL['Audience']] || ''),
+      body: String(v[SCHEDULE_COL['Body']] || ''),
+      status: String(v[SCHEDULE_COL['Status']] || '').toLowerCase(),
+      createdBy: String(v[SCHEDULE_COL['Created By']] || ''),
+      sentAt: v[SCHEDULE_COL['Sent At']] instanceof Date ? v[SCHEDULE_COL['Sent At']] : null,
+      sentCount: v[SCHEDULE_COL['Sent Count']],
+      error: String(v[SCHEDULE_COL['Error']] || ''),
+      override: String(v[SCHEDULE_COL['Compliance Override']] || '')
+    });
+  }
+  return out;
+}
+
+function setScheduleCell_(sh, row, header, value) {
+  sh.getRange(row, SCHEDULE_COL[header] + 1).setValue(value);
+}
+
+// Validates a campaign payload from the sidebar; sendAt is epoch ms
+function validateSchedulePayload_(p) {
+  const body = String((p && p.body) || '').trim();
+  const sendAt = new Date(Number(p && p.sendAt));
+  if (!body) throw new Error('Message is empty.');
+  if (isNaN(sendAt.getTime())) throw new Error('Pick a date and time to send.');
+  if (sendAt.getTime() < Date.now() + 60 * 1000) throw new Error('Scheduled time must be in the future.');
+  return { body, sendAt, eventId: String(p.eventId || ''), audienceKey: String(p.audienceKey || 'attendees') };
+}
+
+// Installs the dispatcher trigger once
+function ensureScheduleTrigger_() {
+  const exists = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === SCHEDULE_TRIGGER_FN);
+  if (!exists) {
+    ScriptApp.newTrigger(SCHEDULE_TRIGGER_FN).timeBased().everyMinutes(SCHEDULE_TRIGGER_MINUTES).create();
+  }
+}
+
+/***** Dispatcher (time-driven trigger) *****/
+// Nothing is sent while the script lock is held (doPost needs it): due campaigns are only queued.
+function dispatchScheduledSends() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(1000)) return; // previous run still going
+
+  try {
+    const sh = scheduleSheet_();
+    const now = Date.now();
+    const all = readScheduledSends_(sh);
+    all.filter(c => c.status === 'sending').forEach(c => finishScheduledSend_(sh, c));
+    const due = all
+      .filter(c => c.status === 'pending' && c.sendAt.getTime() <= now)
+      .sort((a, b) => a.sendAt - b.sendAt);
+
+    due.forEach(c => {
+      // Mark first so edits and cancels are refused from here on
+      setScheduleCell_(sh, c.row, 'Status', 'sending');
+      SpreadsheetApp.flush();
+      try {
+        enforceCompliance_(renderMessage_(c.body, c.eventId), 'scheduled',
+          [c.eventId, c.audienceKey].filter(Boolean).join(' / '), c.override); // smsCompliance.js
+        queueCampaign_(c.eventId, c.audienceKey, c.body, c.id);
+        finishScheduledSend_(sh, c); // nobody to text
+      } catch (err) {
+        setScheduleCell_(sh, c.row, 'Status', 'failed');
+        setScheduleCell_(sh, c.row, 'Error', String(err));
+        Logger.log(`Scheduled campaign ${c.id} failed: ${err}`);
+      }
+      setScheduleCell_(sh, c.row, 'Sent At', new Date());
+    });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// Mark a dispatched row sent once its campaign has worked through everyone. Sent Count is the
+// messages Twilio accepted (or dry runs); deferred and failed recipients are not counted.
+function finishScheduledSend_(sh, c) {
+  const p = campaignProgressFor_(c.id);
+  if (!p) {
+    // Dispatched but never queued (the run died in between); don't guess whether anyone got it
+    if (c.sentAt && Date.now() - c.sentAt.getTime() > SCHEDULE_TRIGGER_MINUTES * 2 * 60 * 1000) {
+      setScheduleCell_(sh, c.row, 'Status', 'failed');
+      setScheduleCell_(sh, c.row, 'Error', 'Interrupted before it was queued. Check SMS Log before rescheduling.');
+    }
+    return;
+  }
+  if (p.status !== 'done') return;
+  setScheduleCell_(sh, c.row, 'Status', 'sent');
+  setScheduleCell_(sh, c.row, 'Sent Count', p.sent);
+}
+
+/***** Sidebar RPCs *****/
+function uiScheduleSend(payload) {
+  requireAdmin_();
+  requirePass_();
+  const c = validateSchedulePayload_(payload);
+  assertTemplateRenders_(c.body, c.eventId);
+  const override = String(payload.complianceOverride || '').trim();
+  enforceCompliance_(renderMessage_(c.body, c.eventId), 'scheduled', [c.eventId, c.audienceKey].filter(Boolean).join(' / '), override);
+  const id = 'C' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyMMddHHmmss') +
+    '-' + Utilities.getUuid().slice(0, 4);
+
+  const sh = scheduleSheet_();
+  const row = SCHEDULE_HEADERS.map(() => '');
+  row[SCHEDULE_COL['Campaign ID']] = id;
+  row[SCHEDULE_COL['Scheduled For']] = c.sendAt;
+  row[SCHEDULE_COL['Event ID']] = c.eventId;
+  row[SCHEDULE_COL['Audience']] = c.audienceKey;
+  row[SCHEDULE_COL['Body']] = c.body;
+  row[SCHEDULE_COL['Status']] = 'pending';
+  row[SCHEDULE_COL['Created By']] = Session.getActiveUser().getEmail() || '';
+  row[SCHEDULE_COL['Created At']] = new Date();
+  row[SCHEDULE_COL['Compliance Override']] = override; // re-checked when it goes out
+  sh.appendRow(row);
+
+  ensureScheduleTrigger_();
+  return { id, sendAt: c.sendAt.getTime() };
+}
+
+// Pending campaigns plus the most recent finished ones (dates as epoch ms for google.script.run)
+function uiListScheduled() {
+  requireAdmin_();
+  requirePass_();
+  const all = readScheduledSends_(scheduleSheet_());
+  const pending = all.filter(c => c.status === 'pending').sort((a, b) => a.sendAt - b.sendAt);
+  const recent = all.filter(c => c.status !== 'pending')
+    .sort((a, b) => b.sendAt - a.sendAt)
+    .slice(0, 10);
+
+  return pending.concat(recent).map(c => ({
+    id: c.id,
+    sendAt: c.sendAt.getTime(),
+    eventId: c.eventId,
+    audienceKey: c.audienceKey,
+    body: c.body,
+    status: c.status,
+    createdBy: c.createdBy,
+    sentCount: c.sentCount === '' ? null : Number(c.sentCount),
+    error: c.error
+  }));
+}
+
+// Runs fn while holding the script lock so edits can't race the dispatcher
+function withScheduleLock_(fn) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) throw new Error('Scheduled sends are being dispatched. Try again in a moment.');
+  try {
+    return fn();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function uiUpdateScheduled(id, payload) {
+  requireAdmin_();
+  requirePass_();
+  return withScheduleLock_(() => updateScheduled_(id, payload || {}));
+}
+
+function updateScheduled_(id, payload) {
+  const sh = scheduleSheet_();
+  const c = readScheduledSends_(sh).find(x => x.id === id);
+  if (!c) throw new Error('Campaign not found: ' + id);
+  if (c.status !== 'pending') throw new Error(`Campaign ${id} is ${c.status} and can no longer be edited.`);
+
+  const next = validateSchedulePayload_({
+    body: payload.body !== undefined ? payload.body : c.body,
+    sendAt: payload.sendAt !== undefined ? payload.sendAt : c.sendAt.getTime(),
+    eventId: payload.eventId !== undefined ? payload.eventId : c.eventId,
+    audienceKey: payload.audienceKey !== undefined ? payload.audienceKey : c.audienceKey
+  });
+  assertTemplateRenders_(next.body, next.eventId);
+  // A new text is linted again; the old override reason only ever covered the old text
+  if (next.body !== c.body || next.eventId !== c.eventId) {
+    const override = String(payload.complianceOverride || '').trim();
+    enforceCompliance_(renderMessage_(next.body, next.eventId), 'scheduled', [id, next.eventId, next.audienceKey].filter(Boolean).join(' / '), override);
+    setScheduleCell_(sh, c.row, 'Compliance Override', override);
+  }
+  setScheduleCell_(sh, c.row, 'Scheduled For', next.sendAt);
+  setScheduleCell_(sh, c.row, 'Event ID', next.eventId);
+  setScheduleCell_(sh, c.row, 'Audience', next.audienceKey);
+  setScheduleCell_(sh, c.row, 'Body', next.body);
+  return { id, sendAt: next.sendAt.getTime() };
+}
+
+function uiCancelScheduled(id) {
+  requireAdmin_();
+  requirePass_();
+  return withScheduleLock_(() => {
+    const sh = scheduleSheet_();
+    const c = readScheduledSends_(sh).find(x => x.id === id);
+    if (!c) throw new Error('Campaign not found: ' + id);
+    if (c.status !== 'pending') throw new Error(`Campaign ${id} is ${c.status} and can no longer be canceled.`);
+    setScheduleCell_(sh, c.row, 'Status', 'canceled');
+    return { id, status: 'canceled' };
+  });
+}
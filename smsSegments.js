@@ -0,0 +1,175 @@
+/***** Segments, cost estimates and the monthly budget *****/
+// Twilio bills per segment. A message that fits GSM-7 gets 160 characters (153 per part once split);
+// a single character outside it (emoji, smart quotes, long dashes) switches the whole message to
+// UCS-2 with 70 (67 per part). smsSegments_ is the server-side source of truth; the sidebar's
+// segmentCount is only the live hint while typing.
+//
+// Spend is tracked in USD per calendar month in Script Properties (SMS_SPEND_yyyy-MM), added by
+// sendSms_ and the bulk sender. uiSend and sendBulkSMS refuse to go past the budget, and every
+// campaign chunk re-checks it before each message (smsCampaigns.js). Spend used to
+// be kept as a segment count (SMS_SEGMENTS_yyyy-MM); that month's count is converted on first use.
+//
+// Script Properties:
+//   SMS_PRICE_PER_SEGMENT   price of one outbound segment in USD (default 0.0083)
+//   MMS_PRICE_PER_MESSAGE   price of one outbound MMS in USD, any length (default 0.0220)
+//   SMS_MONTHLY_BUDGET      monthly cap in USD (blank or 0 = no cap)
+
+// GSM 03.38 basic set, and the extension table (each extension character costs two septets)
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENDED = '\f^{}\\[~]|€';
+
+// Look-alikes that silently force UCS-2, with their GSM-7 replacement
+const GSM7_REPLACEMENTS = {
+  '‘': "'", '’': "'", '‚': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '″': '"',
+  '–': '-', '—': '-', '−': '-',
+  '…': '...', '•': '-', ' ': ' ', ' ': ' ', '​': '',
+  '´': "'", 'ʼ': "'"
+};
+
+// { encoding: 'GSM-7'|'UCS-2', units, segments, suggestions: [{ char, replacement, count }], emoji }
+function smsSegments_(text) {
+  const s = String(text || '');
+  const chars = Array.from(s);
+  let septets = 0;
+  let gsm = true;
+  const odd = new Map();
+  let emoji = 0;
+
+  chars.forEach(ch => {
+    if (GSM7_BASIC.includes(ch)) septets += 1;
+    else if (GSM7_EXTENDED.includes(ch)) septets += 2;
+    else {
+      gsm = false;
+      if (/\p{Extended_Pictographic}/u.test(ch)) emoji++;
+      else odd.set(ch, (odd.get(ch) || 0) + 1);
+    }
+  });
+
+  const units = gsm ? septets : s.length; // UCS-2 counts UTF-16 code units: an emoji is 2
+  const single = gsm ? 160 : 70;
+  const multi = gsm ? 153 : 67;
+  const segments = !s ? 0 : units <= single ? 1 : Math.ceil(units / multi);
+
+  const suggestions = [];
+  odd.forEach((count, ch) => {
+    if (ch in GSM7_REPLACEMENTS) suggestions.push({ char: ch, replacement: GSM7_REPLACEMENTS[ch], count });
+  });
+  return { encoding: gsm ? 'GSM-7' : 'UCS-2', units, segments, suggestions, emoji };
+}
+
+function pricePerSegment_() {
+  const p = Number(getProp_('SMS_PRICE_PER_SEGMENT', '0.0083'));
+  return isFinite(p) && p >= 0 ? p : 0.0083;
+}
+
+function mmsPrice_() {
+  const p = Number(getProp_('MMS_PRICE_PER_MESSAGE', '0.0220'));
+  return isFinite(p) && p >= 0 ? p : 0.0220;
+}
+
+// USD for one message: per segment for SMS, flat for MMS
+function messageCost_(segments, isMms) {
+  return isMms ? mmsPrice_() : (Number(segments) || 0) * pricePerSegment_();
+}
+
+function monthlyBudget_() {
+  const b = Number(getProp_('SMS_MONTHLY_BUDGET', '0'));
+  return isFinite(b) && b > 0 ? b : 0;
+}
+
+function spendKey_(when) {
+  return 'SMS_SPEND_' + Utilities.formatDate(when || new Date(), Session.getScriptTimeZone(), 'yyyy-MM');
+}
+
+// Fold the older segment count for this month into the USD spend, once
+function migrateSegmentSpend_(props) {
+  const oldKey = spendKey_().replace('SMS_SPEND_', 'SMS_SEGMENTS_');
+  const segments = props.getProperty(oldKey);
+  if (segments === null) return;
+  const key = spendKey_();
+  props.setProperty(key, String((Number(props.getProperty(key)) || 0) + (Number(segments) || 0) * pricePerSegment_()));
+  props.deleteProperty(oldKey);
+}
+
+function spentThisMonth_() {
+  const props = PropertiesService.getScriptProperties();
+  migrateSegmentSpend_(props);
+  return Number(props.getProperty(spendKey_())) || 0;
+}
+
+// Add the cost of a message Twilio accepted. Not locked: an occasional lost update only under-counts a little.
+function recordSmsCost_(cost) {
+  const n = Number(cost) || 0;
+  if (n <= 0) return;
+  try {
+    const props = PropertiesService.getScriptProperties();
+    migrateSegmentSpend_(props);
+    const key = spendKey_();
+    props.setProperty(key, String((Number(props.getProperty(key)) || 0) + n));
+  } catch (e) {
+    Logger.log('SPEND LOG FAIL: ' + e);
+  }
+}
+
+// { budget, spent, remaining } in USD; budget 0 means no cap
+function budgetStatus_() {
+  const budget = monthlyBudget_();
+  const spent = spentThisMonth_();
+  return { budget, spent, remaining: budget ? Math.max(0, budget - spent) : Infinity };
+}
+
+function formatUsd_(n) {
+  return '$' + (Number(n) || 0).toFixed(2);
+}
+
+// Throws when spending `cost` more would take this month past SMS_MONTHLY_BUDGET
+function assertWithinBudget_(cost, what) {
+  const b = budgetStatus_();
+  if (!b.budget || cost <= b.remaining) return;
+  throw new Error(`${what} would cost about ${formatUsd_(cost)}, but only ${formatUsd_(b.remaining)} of the ` +
+    `${formatUsd_(b.budget)} monthly SMS budget is left (${formatUsd_(b.spent)} spent). ` +
+    'Raise SMS_MONTHLY_BUDGET in Script Properties to send anyway.');
+}
+
+// Per-recipient estimate for a composer send, after personalization.
+// opts: resolveAudience_ options plus hasMedia (priced as MMS)
+function estimateSend_(eventId, audienceKey, body, opts) {
+  const hasMedia = !!(opts && opts.hasMedia);
+  const { base, renders } = renderForAudience_(eventId, audienceKey, body, opts); // smsRender.js
+  const info = smsSegments_(base);
+  // Tracked links (smsLinks.js) are sized for a four-character recipient token
+  const links = linkTrackingEnabled_() ? findLinks_(base).map(url => ({ id: '00000000', url })) : [];
+  let segments = 0, maxSegments = 0;
+  renders.forEach(r => {
+    const n = smsSegments_(trackLinks_(r.text, links, 46656)).segments;
+    segments += n;
+    maxSegments = Math.max(maxSegments, n);
+  });
+  return {
+    recipients: renders.length,
+    segments,
+    maxSegments,
+    encoding: info.encoding,
+    suggestions: info.suggestions,
+    emoji: info.emoji,
+    mms: hasMedia,
+    price: hasMedia ? mmsPrice_() : pricePerSegment_(),
+    cost: hasMedia ? renders.length * mmsPrice_() : messageCost_(segments, false)
+  };
+}
+
+/***** Sidebar RPC *****/
+// Estimate plus budget state for the confirm dialog; mediaRef: the attached image, if any
+function uiEstimateSend(eventId, audienceKey, body, ignoreCap, mediaRef) {
+  requireAdmin_();
+  requirePass_();
+  const est = estimateSend_(eventId, audienceKey, body, { ignoreCap: !!ignoreCap, hasMedia: !!mediaRef });
+  const b = budgetStatus_();
+  return Object.assign(est, {
+    budget: b.budget,
+    spent: b.spent,
+    overBudget: !!b.budget && est.cost > b.remaining
+  });
+}
@@ -147,22 +147,9 @@ function formatEventDate_(val) {
 }
 
 
-/***** Message templates (edit copy here) *****/
+/***** Placeholder copy ({footer}, {rsvp}); message templates live in the SMS Templates sheet *****/
 function smsFooter_() { return ' Reply STOP to opt out. HELP for help.'; }
-function welcomeTemplate_(name) {
-  const n = name ? `, ${name}` : '';
-  return `Thanks for opting in ${n}! You’ll receive CS Club updates and reminders.` + smsFooter_();
-}
-function thankYouTemplate_(title, dateStr) {
-  const t = title || 'the event'; const d = dateStr ? ` on ${dateStr}` : '';
-  return `Thanks for attending ${t}${d}!{footer}`;
-}
-function reminderTemplate_(title, dateStr, location) {
-  const t = title || 'the event';
-  const when = dateStr ? ` on ${dateStr}` : '';
-  const where = location ? ` at ${location}` : '';
-  return `Reminder: ${t}${when}${where}. See you there!` + smsFooter_();
-}
+function rsvpPrompt_() { return 'Reply Y, N or MAYBE to RSVP.'; }
 
 /***** Menus *****/
 
@@ -199,6 +186,14 @@ function onOpenSms_() {
     .addItem('Send test to myself',      'menuSendTestToSelf')
     .addSeparator()
     .addItem('Resend failures',          'resendFailures_')
+    .addSeparator()
+    .addItem('Set up keyword sheet',     'setupKeywordsSheet')
+    .addItem('Consent history for a number', 'menuConsentHistory')
+    .addItem('Link click summary',       'menuLinkClickSummary')
+    .addItem('Look up phone numbers',    'runPhoneLookups')
+    .addSeparator()
+    .addItem('Turn on event automation', 'enableEventAutomation')
+    .addItem('Run event automation now', 'runEventAutomation')
     .addToUi();
 }
 
@@ -219,23 +214,42 @@ function menuSendTestToSelf() {
   const me = getProp_('ADMIN_TEST_NUMBER','');
   if (!me) return SpreadsheetApp.getUi().alert('Set ADMIN_TEST_NUMBER in Script Properties.');
   const body = 'Test from progsu SMS ✅' + smsFooter_();
-  return sendOneWithControls_(me, body);
+  return sendOneWithControls_(me, body, { kind: 'test' });
 }
 
 /***** Core senders (rate limit + dry-run) *****/
-function sendOneWithControls_(toPhoneE164, body) {
+// Returns the sendSms_ result ({ success, data?, error?, errorCode? }); dry runs return { success: true, dryRun: true }
+function sendOneWithControls_(toPhoneE164, body, opts) {
   requireAdmin_(); requirePass_();   // <— hard stop
+  assertNotQuietHours_(toPhoneE164);
+  return deliverWithControls_(toPhoneE164, body, opts);
+}
+
+// Same as sendOneWithControls_ minus the interactive admin/passcode gate.
+// Only for server-side jobs run by time-driven triggers (private: not callable from the sidebar).
+// Inside quiet hours the message is queued instead: returns { success: true, deferred: true }.
+// opts is passed through to sendSms_ (retry attempt number, MMS mediaUrl).
+function deliverWithControls_(toPhoneE164, body, opts) {
+  const mediaUrl = (opts && opts.mediaUrl) || '';
+  const quietUntil = quietUntilForPhone_(toPhoneE164);
+  if (quietUntil) {
+    deferSend_(toPhoneE164, body, 'automated', quietUntil, mediaUrl);
+    return { success: true, deferred: true };
+  }
   const delay = rateDelayMs_();
+  let result;
   if (isDryRun_()) {
-    safeLogSms_(toPhoneE164, '[DRY RUN] ' + body, 'DRYRUN', 0, '');
+    safeLogSms_(toPhoneE164, '[DRY RUN] ' + body + (mediaUrl ? ' [MMS ' + mediaUrl + ']' : ''), 'DRYRUN', 0, '');
+    result = { success: true, dryRun: true };
   } else {
-    const result = sendSms_(toPhoneE164, body);
+    result = sendSms_(toPhoneE164, body, opts);
     // Don't throw on error - just log it and continue
     if (!result.success) {
-      Logger.log(`Send failed to ${toPhoneE164}: ${result.error} (code: ${result.errorCode || 'unknown'})`);
+      Logger.log(`Send failed to ${toPhoneE164}: ${result.error} (code: ${result.errorCode || 'unknown'}, ${result.errorClass || 'unclassified'})`);
     }
   }
   if (delay > 0) Utilities.sleep(delay);
+  return result;
 }
 function safeLogSms_(to, body, sid, httpCode, errorMsg) {
   try {
@@ -254,11 +268,15 @@ function sendBulkToOptedIn_(message) {
   if (!db) throw new Error('Missing "Student Database" sheet.');
   const vals = db.getDataRange().getValues();
   const hdr = Object.fromEntries(vals[0].map((h,i)=>[String(h), i]));
+  const text = message + smsFooter_();
+  enforceCompliance_(text, 'bulk', 'sendBulkToOptedIn_'); // smsCompliance.js; same text for everyone
   for (let r=1; r<vals.length; r++) {
     const opt = String(vals[r][hdr['SMS Opt-In']]||'').toLowerCase();
     const phone = vals[r][hdr['Phone #']];
-    if (opt === 'yes' && phone) {
-      sendOneWithControls_(toE164_(phone), message + smsFooter_());
+    if (isPhoneSuppressed_(vals[r][hdr['Phone Status']])) continue;
+    if (isLookupExcluded_(vals[r][hdr['Line Type']], vals[r][hdr['Phone Valid']])) continue;
+    if (opt === 'yes' && phone && !isFrequencyCapped_(phone)) {
+      sendOneWithControls_(toE164_(phone), text);
     }
   }
 }
@@ -266,81 +284,30 @@ function sendBulkToOptedIn_(message) {
 function sendThankYouForEvent_(eventId) {
   requireAdmin_();
   requirePass_();
-  const {title, date} = getEventInfo_(eventId);
-  const body = thankYouTemplate_(title, date);
-  sendToEventAttendees_(eventId, body);
+  return sendToEventAttendees_(eventId, templateBody_('thankyou'));
 }
 function sendReminderForEvent_(eventId) {
   requireAdmin_();
   requirePass_();
-  const {title, date, location} = getEventInfo_(eventId);
-  const body = reminderTemplate_(title, date, location);
-  sendToEventAttendees_(eventId, body);
+  return sendToEventAttendees_(eventId, templateBody_('reminder'));
 }
 
-// Attendance -> Campus Email -> DB phone + opt-in
+// The event's attendees (opted in, not suppressed), as a campaign like a composer send so links are
+// tracked and large lists resume. The frequency cap doesn't apply. A {rsvp} in the body records the
+// sends in the RSVP sheet. Returns campaign progress (smsCampaigns.js).
 function sendToEventAttendees_(eventId, body) {
-  const ss = SpreadsheetApp.getActive();
-  const att = ss.getSheetByName('Attendance');
-  const db  = ss.getSheetByName('Student Database');
-  if (!att || !db) throw new Error('Missing "Attendance" or "Student Database" sheet');
-
-  const aVals = att.getDataRange().getValues();
-  const aHdrs = aVals[0].map(String);
-  const aColEvent  = aHdrs.indexOf('Event ID');
-  const aColCampus = aHdrs.indexOf('Campus Email');
-  if (aColEvent < 0 || aColCampus < 0) throw new Error('Attendance needs headers "Event ID" and "Campus Email".');
-
-  const dVals = db.getDataRange().getValues();
-  const dHdrs = dVals[0].map(String);
-  const dColCampus = dHdrs.indexOf('Campus Email');
-  const dColPhone  = dHdrs.indexOf('Phone #');
-  const dColOpt    = dHdrs.indexOf('SMS Opt-In');
-
-  const byCampus = new Map();
-  for (let i=1;i<dVals.length;i++){
-    const ce = String(dVals[i][dColCampus]||'').trim().toLowerCase();
-    if (ce) byCampus.set(ce, dVals[i]);
-  }
-
-  const seen = new Set();
-  for (let r=1;r<aVals.length;r++){
-    if (String(aVals[r][aColEvent]).trim() !== eventId) continue;
-    const ce = String(aVals[r][aColCampus]||'').trim().toLowerCase();
-    if (!ce || seen.has(ce)) continue;
-    seen.add(ce);
-
-    const row = byCampus.get(ce);
-    if (!row) continue;
-    const opt = String(row[dColOpt]||'').toLowerCase();
-    const phone = row[dColPhone];
-    if (opt === 'yes' && phone) {
-      sendOneWithControls_(toE164_(phone), body);
-    }
-  }
+  const opts = {ignoreCap: true};
+  assertNotQuietHours_(resolveAudience_(eventId, 'attendees', opts).people.map(p => p.phone));
+  enforceCompliance_(renderMessage_(body, eventId), 'event menu', eventId); // smsCompliance.js
+  return startCampaign_(eventId, 'attendees', body, '', opts);
 }
 
 /***** Sidebar RPCs *****/
+// Composer template list: active templates from the SMS Templates sheet, minus system copy
 function uiGetTemplates() {
   requireAdmin_(); 
   requirePass_();
-  return [
-    {
-      key:'thankyou', 
-    label:'Thank-you', 
-    body:'Appreciate you pulling up to {title}! \nPeep more events 👉 https://www.progsu.com/events\n\n{footer}'
-    },
-    {
-      key:'reminder', 
-    label:'Reminder', 
-    body:'Ayo {firstName} don\'t forget to pullup to {title} {date? on {date}} {location? at {location}}.\nSee you there!\n\n{footer}'
-    },
-    {
-      key:'blank',    
-    label:'Blank',    
-    body:'\n\n{footer}'
-    }
-  ];
+  return smsTemplates_().filter(t => t.category !== 'system');
 }
 
 // Your Event Log: headers on row 3 (A3:L3) with:
@@ -380,88 +347,59 @@ function uiGetEvents() {
   return out;
 }
 
-function uiGetAudienceInfo(eventId, audienceKey) {
+function uiGetAudienceInfo(eventId, audienceKey, ignoreCap) {
   requireAdmin_(); 
   requirePass_();
-  const {people} = resolveAudience_(eventId, audienceKey);
-  return {count: people.length};
+  const {people, capped} = resolveAudience_(eventId, audienceKey, {ignoreCap: !!ignoreCap});
+  return {count: people.length, capped};
 }
 
-// Preview renderer with optional sections like {date? on {date}}
+// Composer preview: { text, errors, blanks, compliance }. Recipient fields show as [Name]; errors lists
+// unknown placeholders and unbalanced braces (smsRender.js); compliance the findings of smsCompliance.js.
+// {rsvp} expands to the RSVP prompt; uiSend records those sends so replies can be matched
 function uiRenderPreview(body, eventId) {
   requireAdmin_(); 
   requirePass_();
-  const ev = getEventInfo_(eventId) || { title: '', date: '', location: '' };
-  const footer = smsFooter_();
-  const ctx = {
-    title: (ev.title || '').trim(),
-    date: (ev.date || '').trim(),
-    location: (ev.location || '').trim(),
-    footer
-  };
-
-  // Normalize line breaks early; keep \n for SMS & preview (pre-wrap handles it)
-  let out = String(body || '').replace(/\r\n/g, '\n').trim();
-
-  // 1) Protect simple placeholders so optional-block regex stays simple
-  out = out
-    .replace(/\{title\}/g, '<<TITLE>>')
-    .replace(/\{date\}/g, '<<DATE>>')
-    .replace(/\{location\}/g, '<<LOCATION>>')
-    .replace(/\{footer\}/g, '<<FOOTER>>');
-
-  // 2) Expand optional segments like {date? on <<DATE>>}
-  //    Safe now because seg cannot include '}' anymore
-  out = out.replace(/\{(\w+)\?\s*([^}]*)\}/g, (_, key, seg) => {
-    const val = (ctx[key] || '').trim();
-    return val ? seg : '';
-  });
-
-  // 3) Restore tokens to actual values
-  out = out
-    .replace(/<<TITLE>>/g, ctx.title)
-    .replace(/<<DATE>>/g, ctx.date)
-    .replace(/<<LOCATION>>/g, ctx.location)
-    .replace(/<<FOOTER>>/g, ctx.footer);
-
-  // 4) Final tidy:
-  //    - collapse spaces/tabs (NOT newlines)
-  //    - remove extra space before punctuation (within lines)
-  //    - trim spaces at the start/end of each line
-  out = out
-    .replace(/[^\S\n]+/g, ' ')             // collapse spaces/tabs but keep \n
-    .replace(/[ \t]+([!?.,;:])/g, '$1')    // no space before punctuation
-    .split('\n')
-    .map(line => line.replace(/^[ \t]+|[ \t]+$/g, '')) // trim each line
-    .join('\n')
-    .trim();
-
-  return out; // keep \n; preview uses textContent + CSS pre-wrap
+  const res = renderTemplate_(body, templateContext_(eventId));
+  res.compliance = complianceFindings_(res.text);
+  return res;
 }
 
-
-
+// One message for one event. fields: the recipient's Student Database row (header -> value), if any.
+function renderMessage_(body, eventId, fields) {
+  const ctx = templateContext_(eventId);
+  return renderTemplate_(body, fields ? recipientContext_(ctx, fields) : ctx).text;
+}
 
 function uiSend(payload) {
   requireAdmin_();
   requirePass_();
-  const { eventId, audienceKey, body } = payload;
-  const base = uiRenderPreview(body, eventId);
-  const {people} = resolveAudience_(eventId, audienceKey);
-
-  for (const p of people) {
-    let msg = base.replace(/\{firstName\}/g, p.firstName || '');
-    sendOneWithControls_(toE164_(p.phone), msg);
-  }
-  return {sent: people.length};
-}
-
-// Build audience: attendees for event OR all opted-in
-function resolveAudience_(eventId, audienceKey) {
+  const { eventId, audienceKey, body, requestId, mediaRef } = payload;
+  const opts = {ignoreCap: !!payload.ignoreCap}; // admin override for urgent announcements
+  assertTemplateRenders_(body, eventId); // unknown placeholders never go out (smsRender.js)
+  if (opts.ignoreCap) Logger.log(`Frequency cap overridden by ${Session.getActiveUser().getEmail()}`);
+  // Check the whole audience up front so quiet hours never leave a half-sent campaign
+  assertNotQuietHours_(resolveAudience_(eventId, audienceKey, opts).people.map(p => p.phone));
+  assertWithinBudget_(estimateSend_(eventId, audienceKey, body, Object.assign({hasMedia: !!mediaRef}, opts)).cost,
+    'This send'); // smsSegments.js
+  // smsCompliance.js: blocks unless the confirm dialog sent an override reason
+  enforceCompliance_(renderMessage_(body, eventId), 'composer', [eventId, audienceKey].filter(Boolean).join(' / '),
+    payload.complianceOverride);
+  if (mediaRef) opts.mediaUrl = publishMedia_(mediaRef, eventId); // validated and shared for Twilio (smsMedia.js)
+  // Sent as a resumable campaign (smsCampaigns.js); the sidebar polls uiCampaignProgress until done
+  return startCampaign_(eventId, audienceKey, body, String(requestId || ''), opts);
+}
+
+// Build audience: attendees for event, all opted-in, RSVP/reminder follow-ups for the event, or a saved segment.
+// Contacts whose Phone Status is Invalid, Not Mobile or Paused are never included (smsHygiene.js),
+// nor are numbers Twilio Lookup found invalid or non-mobile (smsLookup.js).
+// Recipients at the frequency cap are dropped (counted in `capped`) unless opts.ignoreCap.
+function resolveAudience_(eventId, audienceKey, opts) {
+  const ignoreCap = !!(opts && opts.ignoreCap);
   const ss = SpreadsheetApp.getActive();
   const att = ss.getSheetByName('Attendance');
   const db  = ss.getSheetByName('Student Database');
-  if (!db) return {people:[]};
+  if (!db) return {people:[], capped:0};
 
   const dVals = db.getDataRange().getValues();
   const dh = dVals[0].map(String);
@@ -469,6 +407,9 @@ function resolveAudience_(eventId, audienceKey) {
   const dPhone  = dh.indexOf('Phone #');
   const dOpt    = dh.indexOf('SMS Opt-In');
   const dName   = dh.indexOf('Student Name');
+  const dStatus = dh.indexOf('Phone Status');
+  const dLine   = dh.indexOf('Line Type');
+  const dValid  = dh.indexOf('Phone Valid');
 
   const byCampus = new Map();
   for (let i=1;i<dVals.length;i++){
@@ -478,48 +419,72 @@ function resolveAudience_(eventId, audienceKey) {
 
   let emails = new Set();
   if (audienceKey === 'attendees') {
-    if (!att) return {people:[]};
-    const aVals = att.getDataRange().getValues();
-    const ah = aVals[0].map(String);
-    const aId  = ah.indexOf('Event ID');
-    const aCE  = ah.indexOf('Campus Email');
-    for (let i=1;i<aVals.length;i++){
-      if (String(aVals[i][aId]).trim() !== String(eventId).trim()) continue;
-      const ce = String(aVals[i][aCE]||'').trim().toLowerCase();
-      if (ce) emails.add(ce);
-    }
+    if (!att) return {people:[], capped:0};
+    emails = eventAttendeeEmails_(att, eventId);
   } else if (audienceKey === 'alloptedin') {
     for (let i=1;i<dVals.length;i++){
       const opt = String(dVals[i][dOpt]||'').toLowerCase();
       const ce = String(dVals[i][dCampus]||'').trim().toLowerCase();
       if (opt === 'yes' && ce) emails.add(ce);
     }
+  } else if (audienceKey === 'rsvpyes' || audienceKey === 'rsvpnone') {
+    emails = rsvpAudienceEmails_(eventId, audienceKey === 'rsvpyes' ? 'yes' : '');
+  } else if (audienceKey === 'missed') {
+    // Reminded or RSVP'd, but never checked in
+    const attended = att ? eventAttendeeEmails_(att, eventId) : new Set();
+    rsvpAudienceEmails_(eventId, null).forEach(ce => { if (!attended.has(ce)) emails.add(ce); });
+  } else if (isSegmentKey_(audienceKey)) {
+    // Saved segment "segment:<Name>", or rules still being edited (opts.segmentRules); smsAudiences.js
+    emails = segmentEmails_((opts && opts.segmentRules) || savedSegmentRules_(audienceKey), dVals);
   }
 
   const people = [];
+  let capped = 0;
   for (const ce of emails) {
     const row = byCampus.get(ce);
     if (!row) continue;
     const opt = String(row[dOpt]||'').toLowerCase();
     const phone = row[dPhone];
+    if (dStatus >= 0 && isPhoneSuppressed_(row[dStatus])) continue;
+    if (isLookupExcluded_(dLine >= 0 ? row[dLine] : '', dValid >= 0 ? row[dValid] : '')) continue;
     if (opt === 'yes' && phone) {
+      if (!ignoreCap && isFrequencyCapped_(phone)) { capped++; continue; }
       const name = String(row[dName]||'').trim();
       const firstName = name ? name.split(/\s+/)[0] : '';
-      people.push({campusEmail: ce, phone: String(phone), firstName});
+      people.push({campusEmail: ce, phone: String(phone), firstName, name, fields: rowFields_(dh, row)});
     }
   }
-  return {people};
+  return {people, capped};
+}
+
+// Campus emails recorded in Attendance for one event
+function eventAttendeeEmails_(att, eventId) {
+  const emails = new Set();
+  const aVals = att.getDataRange().getValues();
+  const ah = aVals[0].map(String);
+  const aId  = ah.indexOf('Event ID');
+  const aCE  = ah.indexOf('Campus Email');
+  for (let i=1;i<aVals.length;i++){
+    if (String(aVals[i][aId]).trim() !== String(eventId).trim()) continue;
+    const ce = String(aVals[i][aCE]||'').trim().toLowerCase();
+    if (ce) emails.add(ce);
+  }
+  return emails;
 }
 
 /***** Event info lookup (matches your row-3 headers) *****/
-function getEventInfo_(eventId) {
+// All Event Log rows: [{ id, title, rawDate, location, automation, flyer, fields }]
+// automation is the optional "SMS Automation" column (Off/No/Skip suppresses automated sends);
+// flyer is the optional "Flyer" column (Drive link or image URL the composer can attach as MMS);
+// fields is the whole row as header -> value (message placeholders, smsRender.js)
+function readEventLog_() {
   const ss = SpreadsheetApp.getActive();
   const log = ss.getSheetByName('Event Log');
-  if (!log) return {title:'our event', date:'', location:''};
+  if (!log) return [];
 
   const lastCol = log.getLastColumn();
   const lastRow = log.getLastRow();
-  if (lastRow < 4) return {title:'our event', date:'', location:''};
+  if (lastRow < 4) return [];
 
   const headers = log.getRange(3,1,1,lastCol).getValues()[0].map(String);
   const data    = log.getRange(4,1,lastRow-3,lastCol).getValues();
@@ -528,47 +493,81 @@ function getEventInfo_(eventId) {
   const colDate = headers.indexOf('Date (MM/DD/20YY HH:MM AM/PM)');  // B (your exact header)
   const colLoc  = headers.indexOf('Location');                       // C
   const colT    = headers.indexOf('Public Event Title');             // I
+  const colAuto = headers.indexOf('SMS Automation');                 // optional
+  const colFlyer = headers.indexOf('Flyer');                         // optional
+  if (colId < 0) return [];
 
+  const out = [];
   for (let i=0;i<data.length;i++){
-    if (String(data[i][colId]||'').trim() === String(eventId).trim()) {
-      const rawDate = colDate >= 0 ? data[i][colDate] : '';
-      return {
-        title:    colT    >=0 ? data[i][colT]    : 'our event',
-        date:     formatEventDate_(rawDate),
-        location: colLoc  >=0 ? data[i][colLoc]  : ''
-      };
-    }
+    const id = String(data[i][colId]||'').trim();
+    if (!id) continue;
+    out.push({
+      id,
+      title:    colT    >=0 ? data[i][colT]    : 'our event',
+      rawDate:  colDate >=0 ? data[i][colDate] : '',
+      location: colLoc  >=0 ? data[i][colLoc]  : '',
+      automation: colAuto >=0 ? String(data[i][colAuto] || '').trim() : '',
+      flyer:    colFlyer >=0 ? String(data[i][colFlyer] || '').trim() : '',
+      fields:   rowFields_(headers, data[i])
+    });
   }
-  return {title:'our event', date:'', location:''};
+  return out;
+}
+
+// Raw Event Log row for an event ID, or null if it isn't listed.
+// IDs match case-insensitively (people type them into texts); `id` is the sheet's spelling.
+function findEventRow_(eventId) {
+  const want = String(eventId || '').trim().toLowerCase();
+  if (!want) return null;
+  return readEventLog_().find(ev => ev.id.toLowerCase() === want) || null;
+}
+
+// Event start as a Date, or null if the Event Log date is blank/unparseable
+function eventStart_(ev) {
+  if (!ev || !ev.rawDate) return null;
+  const d = ev.rawDate instanceof Date ? ev.rawDate : new Date(ev.rawDate);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+// Events starting after now, soonest first
+function upcomingEvents_() {
+  const now = Date.now();
+  return readEventLog_()
+    .filter(ev => { const d = eventStart_(ev); return d && d.getTime() > now; })
+    .sort((a, b) => eventStart_(a) - eventStart_(b));
+}
+
+function getEventInfo_(eventId) {
+  const ev = findEventRow_(eventId);
+  if (!ev) return {title:'our event', date:'', location:''};
+  return {
+    title:    ev.title,
+    date:     formatEventDate_(ev.rawDate),
+    location: ev.location
+  };
 }
 
 /***** Retry failed sends from SMS Log *****/
+// Runs the retry queue now (smsRetry.js): only transient failures are re-sent, each row at most once
 function resendFailures_() {
-  const ss = SpreadsheetApp.getActive();
-  const sh = ss.getSheetByName('SMS Log');
-  if (!sh) return SpreadsheetApp.getUi().alert('No "SMS Log" sheet found.');
-
-  const vals = sh.getDataRange().getValues();
-  if (vals.length <= 1) return SpreadsheetApp.getUi().alert('No log entries to retry.');
-  const hdrs = vals[0].map(String);
-  const cTo   = hdrs.indexOf('To');
-  const cBody = hdrs.indexOf('Body');
-  const cCode = hdrs.indexOf('HTTP Code');
-  const cStat = hdrs.indexOf('Status');
-  if (cTo < 0 || cBody < 0) return SpreadsheetApp.getUi().alert('SMS Log missing To/Body headers.');
-
-  let retried = 0;
-  for (let r=1; r<vals.length; r++) {
-    const to   = vals[r][cTo];
-    const body = vals[r][cBody];
-    const code = cCode >= 0 ? Number(vals[r][cCode]) : 0;
-    const stat = cStat >= 0 ? String(vals[r][cStat]||'') : '';
-    const failed = (code >= 400) || (stat && stat.toLowerCase() === 'failed');
-    if (!failed || !to || !body) continue;
-    sendOneWithControls_(String(to), String(body));
-    retried++;
+  requireAdmin_();
+  requirePass_();
+  const ui = SpreadsheetApp.getUi();
+  if (!SpreadsheetApp.getActive().getSheetByName('SMS Log')) return ui.alert('No "SMS Log" sheet found.');
+
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(10000)) return ui.alert('Another send job is running. Try again in a minute.');
+  let res;
+  try {
+    res = processRetryQueue_();
+  } finally {
+    lock.releaseLock();
   }
-  SpreadsheetApp.getUi().alert(`Retried ${retried} failed sends.`);
+  ensureRetryTrigger_();
+  ui.alert(`Retried ${res.retried} failed sends.\n` +
+    `${res.permanent} permanent failures (bad number, landline, opted out, filtered) were not retried.\n` +
+    `${res.exhausted} reached the retry limit.\n` +
+    `${res.dropped} were dropped because the number opted out or can no longer be texted.`);
 }
 
 /***** Tiny ping for auth / smoke-tests *****/
@@ -0,0 +1,102 @@
+/***** Delivery status reconciliation (Twilio StatusCallback -> SMS Log) *****/
+// sendSms_ registers statusCallbackUrl_() on every message; Twilio then posts
+// MessageSid + MessageStatus (+ ErrorCode) to doPost as the message moves along.
+// Instead of appending those as new rows we update the original outbound row.
+
+const SMS_STATUS_COLS = ['Delivery Status', 'Delivery Error', 'Status Updated'];
+
+// Callbacks can arrive out of order; never let an earlier state overwrite a later one
+const SMS_STATUS_RANK = {
+  accepted: 0, scheduled: 0, queued: 1, sending: 2, sent: 3,
+  delivered: 4, undelivered: 4, failed: 4, canceled: 4, read: 5
+};
+const SMS_FAILED_STATUSES = ['failed', 'undelivered'];
+
+function isFailedDeliveryStatus_(status) {
+  return SMS_FAILED_STATUSES.includes(String(status || '').trim().toLowerCase());
+}
+
+// Make sure the SMS Log has these columns; returns the trimmed header row.
+// New headers go right after the last non-empty header so older 6-column logs line up.
+function ensureSmsLogCols_(sh, names) {
+  const lastCol = Math.max(sh.getLastColumn(), 1);
+  const headers = sh.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h || '').trim());
+  let end = headers.length;
+  while (end > 0 && !headers[end - 1]) end--;
+
+  names.forEach(name => {
+    if (headers.indexOf(name) >= 0) return;
+    sh.getRange(1, end + 1).setValue(name);
+    headers[end] = name;
+    end++;
+  });
+  return headers;
+}
+
+// Delivery columns as 0-based indexes
+function ensureSmsLogStatusCols_(sh) {
+  const headers = ensureSmsLogCols_(sh, SMS_STATUS_COLS);
+  return {
+    status:  headers.indexOf('Delivery Status'),
+    error:   headers.indexOf('Delivery Error'),
+    updated: headers.indexOf('Status Updated')
+  };
+}
+
+// logSms_ always writes the SID in column D, whichever logger created the header row
+function smsLogSidCol_(headers) {
+  const c = headers.indexOf('Twilio SID');
+  return c >= 0 ? c : 3;
+}
+
+// Update the outbound SMS Log row for this MessageSid, then apply contact hygiene rules
+// (smsHygiene.js) for failures and reset the unreachable streak on delivery.
+// Returns true when a matching row was found (even if the update was stale and ignored).
+function handleStatusCallback_(sid, status, errorCode) {
+  sid = String(sid || '').trim();
+  status = String(status || '').trim().toLowerCase();
+  if (!sid || !status) return false;
+
+  // Twilio fires several callbacks per message in quick succession
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    Logger.log(`Status callback for ${sid} skipped: could not obtain lock`);
+    return false;
+  }
+
+  let to = '';
+  try {
+    const sh = SpreadsheetApp.getActive().getSheetByName('SMS Log');
+    if (!sh || sh.getLastRow() < 2) return false;
+
+    const cols = ensureSmsLogStatusCols_(sh);
+    const lastCol = sh.getLastColumn();
+    const headers = sh.getRange(1, 1, 1, lastCol).getValues()[0].map(String);
+    const cSid = smsLogSidCol_(headers);
+
+    const vals = sh.getRange(2, 1, sh.getLastRow() - 1, lastCol).getValues();
+    for (let i = vals.length - 1; i >= 0; i--) { // newest first
+      if (String(vals[i][1]) === 'IN') continue;  // inbound rows (logInbound_)
+      if (String(vals[i][cSid] || '').trim() !== sid) continue;
+
+      const current = String(vals[i][cols.status] || '').trim().toLowerCase();
+      const rankOf = s => (s in SMS_STATUS_RANK ? SMS_STATUS_RANK[s] : -1);
+      if (current && rankOf(status) < rankOf(current)) return true; // stale callback
+
+      const row = i + 2;
+      sh.getRange(row, cols.status + 1).setValue(status);
+      sh.getRange(row, cols.error + 1).setValue(errorCode || '');
+      sh.getRange(row, cols.updated + 1).setValue(new Date());
+      to = String(vals[i][1] || '');
+      break;
+    }
+  } finally {
+    lock.releaseLock();
+  }
+  if (!to) return false;
+
+  // Outside the lock: these touch Student Database and shouldn't hold up other callbacks
+  if (isFailedDeliveryStatus_(status)) applyErrorHygiene_(to, errorCode, HYGIENE_SOURCES.CALLBACK, `${sid} ${status}`);
+  else if (status === 'delivered') resetUnreachableCount_(to);
+  return true;
+}
@@ -0,0 +1,261 @@
+/***** SMS template library *****/
+// Message copy lives in the "SMS Templates" sheet, one row per template key. It is the only source
+// for the composer's template list, the automated event senders, the event menu helpers and the
+// opt-in welcome text in syncStudentDatabase. The sheet is seeded from DEFAULT_SMS_TEMPLATES the
+// first time it is needed; DEFAULT_SMS_TEMPLATES is also the fallback when a key is missing or retired.
+//
+// Every change made from the sidebar's Templates tab bumps Version, records Last Editor and appends
+// the new state to "SMS Template History", so any earlier version can be restored.
+// Category "system" templates (the welcome text) are sent by code and left out of the composer list.
+
+const TEMPLATES_SHEET = 'SMS Templates';
+const TEMPLATE_HEADERS = ['Key', 'Label', 'Body', 'Category', 'Active', 'Last Editor', 'Version', 'Updated At'];
+const TEMPLATE_COL = TEMPLATE_HEADERS.reduce((m, h, i) => (m[h] = i, m), {}); // header -> 0-based
+const TEMPLATE_HISTORY_SHEET = 'SMS Template History';
+const TEMPLATE_HISTORY_HEADERS = ['Timestamp', 'Key', 'Version', 'Action', 'Editor', 'Label', 'Body', 'Category', 'Active'];
+const TEMPLATE_CATEGORIES = ['event', 'general', 'system'];
+
+const DEFAULT_SMS_TEMPLATES = [
+  {
+    key: 'thankyou', label: 'Thank-you', category: 'event',
+    body: 'Appreciate you pulling up to {title}! \nPeep more events 👉 https://www.progsu.com/events\n\n- Progsu\n{footer}'
+  },
+  {
+    key: 'reminder', label: 'Reminder', category: 'event',
+    body: 'Ayo {firstName} don\'t forget to pullup to {title} {date? on {date}} {location? at {location}}.\nSee you there! {rsvp}\n\n- Progsu\n{footer}'
+  },
+  {
+    key: 'missedyou', label: 'Sorry we missed you', category: 'event',
+    body: 'Sorry we missed you at {title}, {firstName}! Catch the next one 👉 https://www.progsu.com/events\n\n- Progsu\n{footer}'
+  },
+  {
+    key: 'blank', label: 'Blank', category: 'general',
+    body: '\n\n{footer}'
+  },
+  {
+    key: 'welcome', label: 'Opt-in welcome', category: 'system',
+    body: 'Thanks for opting in to Progsu SMS alerts! Cool events are coming your way. Reply STOP to opt out. Reply HELP for help.'
+  }
+];
+
+function templatesSheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(TEMPLATES_SHEET);
+  if (!sh) {
+    sh = ss.insertSheet(TEMPLATES_SHEET);
+    sh.appendRow(TEMPLATE_HEADERS);
+    sh.setFrozenRows(1);
+    const now = new Date();
+    const rows = DEFAULT_SMS_TEMPLATES.map(t => [t.key, t.label, t.body, t.category, true, 'seed', 1, now]);
+    sh.getRange(2, 1, rows.length, TEMPLATE_HEADERS.length).setValues(rows);
+    rows.forEach(r => logTemplateHistory_(r, 'created'));
+  }
+  return sh;
+}
+
+function templateHistorySheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(TEMPLATE_HISTORY_SHEET);
+  if (!sh) {
+    sh = ss.insertSheet(TEMPLATE_HISTORY_SHEET);
+    sh.appendRow(TEMPLATE_HISTORY_HEADERS);
+    sh.setFrozenRows(1);
+  }
+  return sh;
+}
+
+// Active checkbox, or Yes/No typed by hand
+function isTemplateActive_(v) {
+  return v === true || /^(yes|y|true|1)$/i.test(String(v || '').trim());
+}
+
+// [{ row, key, label, body, category, active, editor, version, updatedAt }]
+function readTemplates_() {
+  const vals = templatesSheet_().getDataRange().getValues();
+  const out = [];
+  for (let i = 1; i < vals.length; i++) {
+    const v = vals[i];
+    const key = String(v[TEMPLATE_COL['Key']] || '').trim();
+    if (!key) continue;
+    out.push({
+      row: i + 1,
+      key,
+      label: String(v[TEMPLATE_COL['Label']] || key),
+      body: String(v[TEMPLATE_COL['Body']] || ''),
+      category: String(v[TEMPLATE_COL['Category']] || 'general').trim().toLowerCase(),
+      active: isTemplateActive_(v[TEMPLATE_COL['Active']]),
+      editor: String(v[TEMPLATE_COL['Last Editor']] || ''),
+      version: Number(v[TEMPLATE_COL['Version']]) || 1,
+      updatedAt: v[TEMPLATE_COL['Updated At']] instanceof Date ? v[TEMPLATE_COL['Updated At']] : null
+    });
+  }
+  return out;
+}
+
+// Active templates: [{ key, label, body, category }]. Used by the composer and event automation.
+function smsTemplates_() {
+  return readTemplates_().filter(t => t.active)
+    .map(t => ({ key: t.key, label: t.label, body: t.body, category: t.category }));
+}
+
+// Body of an active template, falling back to the built-in copy so senders never go quiet
+function templateBody_(key) {
+  const t = readTemplates_().find(x => x.key === key && x.active) || DEFAULT_SMS_TEMPLATES.find(x => x.key === key);
+  if (!t) throw new Error(`No "${key}" template found.`);
+  return t.body;
+}
+
+// Opt-in welcome text for a new subscriber (syncStudentDatabase). student: their row as header -> value.
+function welcomeMessage_(student) {
+  return renderMessage_(templateBody_('welcome'), '', student || {});
+}
+
+function logTemplateHistory_(row, action) {
+  templateHistorySheet_().appendRow([
+    new Date(), row[TEMPLATE_COL['Key']], row[TEMPLATE_COL['Version']], action, row[TEMPLATE_COL['Last Editor']],
+    row[TEMPLATE_COL['Label']], row[TEMPLATE_COL['Body']], row[TEMPLATE_COL['Category']], row[TEMPLATE_COL['Active']]
+  ]);
+}
+
+// Write a template row (new or existing) with the next version and record it in the history
+function writeTemplate_(sh, existing, t, action) {
+  const row = [
+    t.key, t.label, t.body, t.category, t.active,
+    Session.getActiveUser().getEmail() || '', existing ? existing.version + 1 : 1, new Date()
+  ];
+  const r = existing ? existing.row : sh.getLastRow() + 1;
+  sh.getRange(r, 1, 1, row.length).setValues([row]);
+  logTemplateHistory_(row, action);
+  return { key: t.key, version: row[TEMPLATE_COL['Version']] };
+}
+
+function validateTemplate_(p) {
+  const key = String((p && p.key) || '').trim();
+  const label = String((p && p.label) || '').trim();
+  const body = String((p && p.body) || '');
+  const category = String((p && p.category) || 'general').trim().toLowerCase();
+  if (!/^[a-z0-9_-]+$/i.test(key)) throw new Error('Key may only use letters, numbers, - and _.');
+  if (!label) throw new Error('Label is required.');
+  if (!body.trim()) throw new Error('Message is empty.');
+  if (!TEMPLATE_CATEGORIES.includes(category)) throw new Error('Category must be one of ' + TEMPLATE_CATEGORIES.join(', ') + '.');
+  assertTemplateRenders_(body, ''); // smsRender.js
+  assertAutomationCompliant_(key, body);
+  return { key, label, body, category };
+}
+
+// Event automation has no override, so its templates must pass the blocking compliance checks
+// (smsCompliance.js) when saved rather than fail at send time
+function assertAutomationCompliant_(key, body) {
+  if (!AUTOMATION_TEMPLATE_KEYS.includes(key)) return;
+  const blocking = blockingFindings_(renderMessage_(body, ''));
+  if (blocking.length) {
+    throw new Error(`"${key}" is sent by event automation, which can't override compliance checks: ` +
+      blocking.map(f => f.message).join(' '));
+  }
+}
+
+// Runs fn while holding the script lock so two editors can't interleave writes
+function withTemplateLock_(fn) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) throw new Error('Templates are being updated. Try again in a moment.');
+  try {
+    return fn();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function findTemplate_(key) {
+  const t = readTemplates_().find(x => x.key === key);
+  if (!t) throw new Error('Template not found: ' + key);
+  return t;
+}
+
+/***** Sidebar RPCs *****/
+// Every template, retired ones included, for the Templates tab (updatedAt as epoch ms)
+function uiListTemplates() {
+  requireAdmin_();
+  requirePass_();
+  return readTemplates_().map(t => ({
+    key: t.key, label: t.label, body: t.body, category: t.category, active: t.active,
+    editor: t.editor, version: t.version, updatedAt: t.updatedAt ? t.updatedAt.getTime() : null
+  }));
+}
+
+// Create (payload.version absent) or update a template. An update must name the version it was
+// based on so a stale tab can't overwrite someone else's newer copy.
+function uiSaveTemplate(payload) {
+  requireAdmin_();
+  requirePass_();
+  const t = validateTemplate_(payload);
+  return withTemplateLock_(() => {
+    const sh = templatesSheet_();
+    const existing = readTemplates_().find(x => x.key === t.key);
+    if (payload.version === undefined || payload.version === null) {
+      if (existing) throw new Error(`A template with key "${t.key}" already exists.`);
+      return writeTemplate_(sh, null, Object.assign({ active: true }, t), 'created');
+    }
+    if (!existing) throw new Error('Template not found: ' + t.key);
+    if (Number(payload.version) !== existing.version) {
+      throw new Error(`"${t.key}" was changed by ${existing.editor || 'someone else'} (now version ${existing.version}). Reload and try again.`);
+    }
+    return writeTemplate_(sh, existing, Object.assign({ active: existing.active }, t), 'edited');
+  });
+}
+
+// Copy a template under a new unused key (key_copy, key_copy2, ...)
+function uiDuplicateTemplate(key) {
+  requireAdmin_();
+  requirePass_();
+  return withTemplateLock_(() => {
+    const src = findTemplate_(key);
+    const keys = new Set(readTemplates_().map(x => x.key));
+    let newKey = `${src.key}_copy`;
+    for (let n = 2; keys.has(newKey); n++) newKey = `${src.key}_copy${n}`;
+    return writeTemplate_(templatesSheet_(), null, {
+      key: newKey, label: 'Copy of ' + src.label, body: src.body,
+      category: src.category === 'system' ? 'general' : src.category, active: true
+    }, 'duplicated from ' + src.key);
+  });
+}
+
+// Retire (active=false) or bring back a template. Retired templates drop out of the composer and,
+// for keys the code sends, fall back to the built-in copy.
+function uiSetTemplateActive(key, active) {
+  requireAdmin_();
+  requirePass_();
+  return withTemplateLock_(() => {
+    const t = findTemplate_(key);
+    return writeTemplate_(templatesSheet_(), t, Object.assign({}, t, { active: !!active }), active ? 'restored' : 'retired');
+  });
+}
+
+// Saved versions of one template, newest first (at as epoch ms)
+function uiTemplateHistory(key) {
+  requireAdmin_();
+  requirePass_();
+  const vals = templateHistorySheet_().getDataRange().getValues();
+  const out = [];
+  for (let i = vals.length - 1; i >= 1; i--) {
+    const [at, k, version, action, editor, label, body, category] = vals[i];
+    if (String(k) !== key) continue;
+    out.push({ at: at instanceof Date ? at.getTime() : null, version: Number(version) || 0,
+      action: String(action), editor: String(editor), label: String(label), body: String(body), category: String(category) });
+  }
+  return out;
+}
+
+// Make an earlier version current again (saved as a new version, so the rollback itself can be undone)
+function uiRollbackTemplate(key, version) {
+  requireAdmin_();
+  requirePass_();
+  const old = uiTemplateHistory(key).find(h => h.version === Number(version));
+  if (!old) throw new Error(`Version ${version} of "${key}" not found.`);
+  assertAutomationCompliant_(key, old.body);
+  return withTemplateLock_(() => {
+    const t = findTemplate_(key);
+    return writeTemplate_(templatesSheet_(), t,
+      { key, label: old.label, body: old.body, category: old.category || t.category, active: t.active },
+      'rolled back to v' + old.version);
+  });
+}